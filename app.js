@@ -4,31 +4,73 @@ var path = require('path');
 var cookieParser = require('cookie-parser');
 var logger = require('morgan');
 require('dotenv').config();
-const { initializeDatabase } = require('./utils/db');
+const { initializeDatabase, watchEmbeddingProvider } = require('./utils/db');
+const { startWorker } = require('./utils/jobQueue');
+const { captureRawBody } = require('./utils/slackVerification');
+const { enqueueChannelNameBackfill } = require('./utils/ingestJobs');
+const { scheduleNotionSync } = require('./utils/notionSync');
+const { scheduleDriveSync } = require('./utils/driveSync');
+const { scheduleChannelRefresh } = require('./utils/channelAccess');
+const { closeBrowserPool } = require('./utils/browserPool');
 
 var indexRouter = require('./routes/index');
-var usersRouter = require('./routes/users');
 var ingestRouter = require('./routes/ingest');
+var adminRouter = require('./routes/admin');
+var slashRouter = require('./routes/slash');
+var interactionsRouter = require('./routes/interactions');
 
 
 var app = express();
 
-// Initialize database
-initializeDatabase().catch(console.error);
+// Exit when bin/reembed switches the stored vectors to another provider, so the process
+// manager restarts the app and it picks up the new settings or refuses to start without them
+function exitOnEmbeddingProviderChange() {
+  watchEmbeddingProvider(function(error) {
+    console.error(error.message);
+    process.exit(1);
+  });
+}
+
+// Initialize database, then start processing background jobs
+initializeDatabase()
+  .then(exitOnEmbeddingProviderChange)
+  .then(enqueueChannelNameBackfill)
+  .then(scheduleChannelRefresh)
+  .then(scheduleNotionSync)
+  .then(scheduleDriveSync)
+  .then(startWorker)
+  .catch(function(error) {
+    console.error(error);
+    // Searching vectors of the wrong dimension or model would fail or find nothing on every question
+    if (error.code === 'EMBEDDING_DIMENSION_MISMATCH' || error.code === 'EMBEDDING_PROVIDER_MISMATCH') {
+      process.exit(1);
+    }
+  });
+
+// Close the shared browser on shutdown so no Chromium processes are left behind
+['SIGTERM', 'SIGINT'].forEach(function(signal) {
+  process.once(signal, function() {
+    closeBrowserPool().finally(function() {
+      process.exit(0);
+    });
+  });
+});
 
 // view engine setup
 app.set('views', path.join(__dirname, 'views'));
 app.set('view engine', 'jade');
 
 app.use(logger('dev'));
-app.use(express.json());
-app.use(express.urlencoded({ extended: false }));
+app.use(express.json({ verify: captureRawBody }));
+app.use(express.urlencoded({ extended: false, verify: captureRawBody }));
 app.use(cookieParser());
 app.use(express.static(path.join(__dirname, 'public')));
 
 app.use('/', indexRouter);
-app.use('/users', usersRouter);
 app.use('/ingest', ingestRouter);
+app.use('/admin', adminRouter);
+app.use('/slash', slashRouter);
+app.use('/interactions', interactionsRouter);
 
 
 // catch 404 and forward to error handler
@@ -0,0 +1,129 @@
+const express = require('express');
+const router = express.Router();
+const {
+    getProcessedEvent,
+    listChannels,
+    listChunks,
+    deleteChannelMessages,
+    deleteThreadMessages,
+    reembedThread
+} = require('../utils/db');
+const { handleSlackEvent } = require('./ingest');
+const { enqueueChannelBackfill } = require('../utils/ingestJobs');
+const { processLink } = require('../utils/linkProcessor');
+const { requireAdminToken } = require('../utils/adminAuth');
+
+router.use(requireAdminToken);
+
+// Whole number query parameter clamped to [min, max], the fallback when missing or not a number
+function parseIntParam(value, fallback, min, max) {
+    const parsed = parseInt(value, 10);
+    if (Number.isNaN(parsed)) {
+        return fallback;
+    }
+    return Math.min(Math.max(parsed, min), max);
+}
+
+// List channels and their chunk counts
+router.get('/channels', async (req, res) => {
+    try {
+        res.json({ channels: await listChannels() });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Browse stored chunks, ?channel=&thread=&q= narrow the results
+router.get('/chunks', async (req, res) => {
+    try {
+        const limit = parseIntParam(req.query.limit, 50, 1, 500);
+        const offset = parseIntParam(req.query.offset, 0, 0, Number.MAX_SAFE_INTEGER);
+        const chunks = await listChunks({
+            channel: req.query.channel,
+            threadTs: req.query.thread,
+            query: req.query.q,
+            limit,
+            offset
+        });
+        res.json({ chunks, limit, offset });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Delete everything learnt from a channel
+router.delete('/channels/:channel', async (req, res) => {
+    try {
+        const deleted = await deleteChannelMessages(req.params.channel);
+        res.json({ deleted });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Delete everything learnt from a thread
+router.delete('/channels/:channel/threads/:threadTs', async (req, res) => {
+    try {
+        const deleted = await deleteThreadMessages(req.params.channel, req.params.threadTs);
+        res.json({ deleted });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Regenerate the embeddings of a thread
+router.post('/channels/:channel/threads/:threadTs/reembed', async (req, res) => {
+    try {
+        const reembedded = await reembedThread(req.params.channel, req.params.threadTs);
+        if (reembedded === 0) {
+            return res.status(404).json({ error: 'Thread not found' });
+        }
+        res.json({ reembedded });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Queue a history backfill of a channel
+router.post('/channels/:channel/backfill', async (req, res) => {
+    try {
+        const jobId = await enqueueChannelBackfill(req.params.channel);
+        res.status(202).json({ job_id: jobId, status: jobId ? 'queued' : 'already queued' });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Fetch a link again, replacing its cached content and summary
+router.post('/links/refresh', async (req, res) => {
+    const url = req.body.url || req.query.url;
+    if (!url) {
+        return res.status(400).json({ error: 'url is required' });
+    }
+    try {
+        const { summary } = await processLink(url, { refresh: true });
+        res.json({ url, summary });
+    } catch (error) {
+        res.status(502).json({ url, error: error.message });
+    }
+});
+
+// Reprocess a Slack event that was already handled, bypassing deduplication
+router.post('/events/:eventId/replay', async (req, res) => {
+    try {
+        const processedEvent = await getProcessedEvent(req.params.eventId);
+        if (!processedEvent || !processedEvent.payload) {
+            return res.status(404).json({ error: 'Event not found' });
+        }
+
+        res.status(202).json({ event_id: processedEvent.event_id, status: 'replaying' });
+        await handleSlackEvent(processedEvent.payload);
+    } catch (error) {
+        console.error('Error replaying event:', error);
+        if (!res.headersSent) {
+            res.status(500).json({ error: error.message });
+        }
+    }
+});
+
+module.exports = router;
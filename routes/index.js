@@ -1,14 +1,70 @@
 var express = require('express');
 var router = express.Router();
-
-/* GET home page. */
-router.get('/', function(req, res, next) {
-  res.render('index', { title: 'Express' });
-});
+const { listChannels, searchSimilarMessages } = require('../utils/db');
+const { listRecentAnswers, listLinkFailures } = require('../utils/activityLog');
+const { listDownvotedSources } = require('../utils/feedback');
+const { requireDashboardAuth } = require('../utils/adminAuth');
 
 router.post('/', (req, res) => {
   
   res.send(req.body);
 });
 
+/* GET dashboard with ingestion stats per channel. */
+router.get('/', requireDashboardAuth, async function(req, res, next) {
+  try {
+    const channels = await listChannels();
+    const totals = channels.reduce((sum, channel) => ({
+      chunks: sum.chunks + channel.chunk_count,
+      threads: sum.threads + channel.thread_count
+    }), { chunks: 0, threads: 0 });
+    res.render('index', { title: 'Knowledge base', channels, totals });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/* GET recent questions and the answers given. */
+router.get('/questions', requireDashboardAuth, async function(req, res, next) {
+  try {
+    const answers = await listRecentAnswers(100);
+    res.render('questions', { title: 'Recent questions', answers });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/* GET links that could not be processed. */
+router.get('/failed-links', requireDashboardAuth, async function(req, res, next) {
+  try {
+    const failures = await listLinkFailures();
+    const permissionFailures = failures.filter(failure => failure.error_type === 'google_drive_permission');
+    const otherFailures = failures.filter(failure => failure.error_type !== 'google_drive_permission');
+    res.render('failed-links', { title: 'Failed links', permissionFailures, otherFailures });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/* GET sources behind downvoted answers and wrong source reports. */
+router.get('/feedback', requireDashboardAuth, async function(req, res, next) {
+  try {
+    const sources = await listDownvotedSources(100);
+    res.render('feedback', { title: 'Downvoted sources', sources });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/* GET semantic search over the knowledge base. */
+router.get('/search', requireDashboardAuth, async function(req, res, next) {
+  try {
+    const query = (req.query.q || '').trim();
+    const results = query ? await searchSimilarMessages(query, 20, 0) : [];
+    res.render('search', { title: 'Search', query, results });
+  } catch (error) {
+    next(error);
+  }
+});
+
 module.exports = router;
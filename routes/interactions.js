@@ -0,0 +1,89 @@
+const express = require('express');
+const router = express.Router();
+const { getAnswer } = require('../utils/activityLog');
+const { formatMessageWithBlocks } = require('../utils/slackFormatting');
+const { formatSourceBlocks } = require('../utils/citations');
+const { recordVote, recordWrongSource, formatFeedbackBlocks } = require('../utils/feedback');
+const { respond } = require('../utils/slackResponse');
+const { verifySlackRequest } = require('../utils/slackVerification');
+
+router.use(verifySlackRequest);
+
+// Post a privately given answer to the channel and remove the ephemeral copy
+async function shareAnswer(payload, action) {
+    const answer = await getAnswer(parseInt(action.value, 10));
+    if (!answer || answer.user_id !== payload.user.id) {
+        return;
+    }
+    await respond(payload.response_url, {
+        response_type: 'in_channel',
+        replace_original: false,
+        text: answer.answer,
+        blocks: [
+            {
+                type: "context",
+                elements: [{ type: "mrkdwn", text: `<@${answer.user_id}> asked: ${answer.question}` }]
+            },
+            ...formatMessageWithBlocks(answer.answer),
+            ...(answer.citations ? formatSourceBlocks(answer.citations) : []),
+            ...formatFeedbackBlocks(answer.id, answer.citations || [])
+        ]
+    });
+    await respond(payload.response_url, { delete_original: true });
+}
+
+// Thank the user privately, leaving the answer as it is for everyone else
+async function acknowledgeFeedback(payload) {
+    await respond(payload.response_url, {
+        response_type: 'ephemeral',
+        replace_original: false,
+        text: "Thanks for the feedback!"
+    });
+}
+
+async function voteHelpful(payload, action) {
+    await recordVote(parseInt(action.value, 10), payload.user.id, 'helpful');
+    await acknowledgeFeedback(payload);
+}
+
+async function voteUnhelpful(payload, action) {
+    await recordVote(parseInt(action.value, 10), payload.user.id, 'unhelpful');
+    await acknowledgeFeedback(payload);
+}
+
+// The selected option's value is answerId:chunkId
+async function reportWrongSource(payload, action) {
+    const [answerId, chunkId] = action.selected_option.value.split(':').map(value => parseInt(value, 10));
+    await recordWrongSource(answerId, payload.user.id, chunkId);
+    await acknowledgeFeedback(payload);
+}
+
+const actions = {
+    share_answer: shareAnswer,
+    answer_helpful: voteHelpful,
+    answer_unhelpful: voteUnhelpful,
+    wrong_source: reportWrongSource
+};
+
+// Button clicks arrive as a form encoded JSON payload
+router.post('/', async (req, res) => {
+    let payload;
+    try {
+        payload = JSON.parse(req.body.payload);
+    } catch (error) {
+        return res.status(400).send('Invalid payload');
+    }
+    res.status(200).send();
+
+    for (const action of payload.actions || []) {
+        const handler = actions[action.action_id];
+        if (!handler) continue;
+        try {
+            await handler(payload, action);
+        } catch (error) {
+            console.error(`Error handling ${action.action_id}:`, error);
+        }
+    }
+});
+
+module.exports = router;
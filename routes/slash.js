@@ -0,0 +1,99 @@
+const express = require('express');
+const router = express.Router();
+const { searchKnowledgeBase } = require('../utils/retrieval');
+const { answerQuestion } = require('../utils/answerService');
+const { formatMessageWithBlocks } = require('../utils/slackFormatting');
+const { formatSourceBlocks } = require('../utils/citations');
+const { formatFeedbackBlocks } = require('../utils/feedback');
+const { respond } = require('../utils/slackResponse');
+const { verifySlackRequest } = require('../utils/slackVerification');
+
+router.use(verifySlackRequest);
+
+// Answer privately, the asker can share the answer with the channel afterwards
+async function handleAsk({ text, user_id, channel_id, response_url }) {
+    try {
+        const { text: answer, citations, answerId } = await answerQuestion({ question: text, asker: user_id, channel: channel_id });
+        const blocks = [...formatMessageWithBlocks(answer), ...formatSourceBlocks(citations)];
+        if (answerId) {
+            blocks.push(...formatFeedbackBlocks(answerId, citations), {
+                type: "actions",
+                elements: [{
+                    type: "button",
+                    text: { type: "plain_text", text: "Share to channel" },
+                    action_id: "share_answer",
+                    value: String(answerId)
+                }]
+            });
+        }
+        await respond(response_url, { response_type: 'ephemeral', replace_original: true, text: answer, blocks });
+    } catch (error) {
+        console.error('Error answering /ask:', error);
+        await respond(response_url, {
+            response_type: 'ephemeral',
+            replace_original: true,
+            text: "Sorry, I encountered an error processing your request."
+        });
+    }
+}
+
+// List matching knowledge base entries, only from channels the user is in
+async function handleSearch({ text, user_id, response_url }) {
+    try {
+        const results = await searchKnowledgeBase(text, { userId: user_id });
+        if (results.length === 0) {
+            await respond(response_url, { response_type: 'ephemeral', replace_original: true, text: `Nothing found for "${text}".` });
+            return;
+        }
+
+        const blocks = results.map(result => {
+            const snippet = result.content.replace(/\s+/g, ' ').slice(0, 300);
+            const date = new Date(result.created_at).toISOString().slice(0, 10);
+            const location = result.channel_id ? `#${result.channel_name || result.channel_id}` : result.metadata?.title || result.source_type;
+            return {
+                type: "section",
+                text: {
+                    type: "mrkdwn",
+                    text: `*<${result.permalink}|${location}>* · ${result.user_name || 'Unknown'} · ${date}\n${snippet}`
+                }
+            };
+        });
+        await respond(response_url, {
+            response_type: 'ephemeral',
+            replace_original: true,
+            text: `${results.length} results for "${text}"`,
+            blocks
+        });
+    } catch (error) {
+        console.error('Error searching for /kb-search:', error);
+        await respond(response_url, {
+            response_type: 'ephemeral',
+            replace_original: true,
+            text: "Sorry, I encountered an error searching the knowledge base."
+        });
+    }
+}
+
+const commands = {
+    '/ask': { handle: handleAsk, usage: 'Usage: /ask <question>', ack: ':mag: Looking into it...' },
+    '/kb-search': { handle: handleSearch, usage: 'Usage: /kb-search <terms>', ack: ':mag: Searching...' }
+};
+
+// Slack gives slash commands 3 seconds, acknowledge first and reply through response_url
+router.post('/', (req, res) => {
+    const command = commands[req.body.command];
+    const text = (req.body.text || '').trim();
+    if (!command) {
+        return res.json({ response_type: 'ephemeral', text: `Unknown command ${req.body.command}` });
+    }
+    if (!text) {
+        return res.json({ response_type: 'ephemeral', text: command.usage });
+    }
+
+    res.json({ response_type: 'ephemeral', text: command.ack });
+    command.handle({ ...req.body, text }).catch(error => {
+        console.error(`Error handling ${req.body.command}:`, error);
+    });
+});
+
+module.exports = router;
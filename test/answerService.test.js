@@ -0,0 +1,159 @@
+const { test, before, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { answerQuestion } = require('../utils/answerService');
+const { getFakeLLM } = require('../utils/llm');
+
+const BOT_ID = 'UBOT';
+const llm = getFakeLLM();
+
+// The model names tell the rewrite and answer requests apart in llm.calls
+const requests = model => llm.calls.filter(call => call.model === model);
+
+before(() => {
+    process.env.SLACK_BOT_ID = BOT_ID;
+    process.env.LLM_REWRITE = 'fake:rewrite';
+    process.env.LLM_ANSWER = 'fake:answer';
+});
+
+beforeEach(() => {
+    llm.reset();
+});
+
+const SOURCES = [
+    { index: 1, chunkId: 11, channelId: 'C1', userName: 'Ada', createdAt: new Date(), permalink: 'https://slack.test/1' },
+    { index: 2, chunkId: 12, channelId: 'C1', userName: 'Grace', createdAt: new Date(), permalink: 'https://slack.test/2' }
+];
+
+// Slack client answering conversations.replies and users.info from the given thread
+function stubSlack(threadMessages = []) {
+    return {
+        conversations: { replies: async () => ({ messages: threadMessages }) },
+        users: { info: async ({ user }) => ({ user: { real_name: `Name of ${user}`, profile: { title: 'Engineer' } } }) }
+    };
+}
+
+// Dependencies of answerQuestion other than the LLM with everything it did recorded in calls.
+// The LLM is the scripted fake, each test queues its responses in the order they are asked for
+function stubDependencies({ threadMessages, context = 'Launch is Friday.' } = {}) {
+    const calls = { retrieval: [], links: [], files: [], recorded: [] };
+    const dependencies = {
+        slack: stubSlack(threadMessages),
+        getRelevantContext: async (query, scope) => {
+            calls.retrieval.push({ query, scope });
+            return { context, sources: SOURCES };
+        },
+        processLink: async (url) => {
+            calls.links.push(url);
+            if (url.includes('broken')) throw new Error('Could not load');
+            return { content: `Content of ${url}`, summary: `Summary of ${url}` };
+        },
+        processFileSegment: async (file) => {
+            calls.files.push(file.id);
+            return { text: `Text of ${file.name}` };
+        },
+        recordAnswer: async (entry) => {
+            calls.recorded.push(entry);
+            return 42;
+        }
+    };
+    return { calls, dependencies };
+}
+
+test('answers a question with the retrieved context and validated citations', async () => {
+    const { calls, dependencies } = stubDependencies();
+    llm.script('The launch is on Friday [1][7].');
+    const updates = [];
+    const result = await answerQuestion(
+        { question: `<@${BOT_ID}> When is the launch?`, asker: 'U1', channel: 'C1' },
+        { ...dependencies, onText: text => updates.push(text) }
+    );
+
+    assert.strictEqual(result.text, 'The launch is on Friday [1].');
+    assert.deepStrictEqual(result.citations.map(citation => citation.index), [1]);
+    assert.strictEqual(result.uncited, false);
+    assert.strictEqual(result.answerId, 42);
+    assert.deepStrictEqual(updates, ['The launch is on Friday [1][7].']);
+
+    // A question outside a thread is searched as asked, without a rewrite
+    assert.strictEqual(requests('rewrite').length, 0);
+    assert.deepStrictEqual(calls.retrieval, [{ query: 'When is the launch?', scope: { userId: 'U1', channelId: 'C1' } }]);
+    assert.match(requests('answer')[0].system, /Launch is Friday\./);
+    assert.deepStrictEqual(requests('answer')[0].messages, [{ role: 'user', content: 'When is the launch?' }]);
+
+    assert.strictEqual(calls.recorded.length, 1);
+    assert.deepStrictEqual(calls.recorded[0].chunkIds, [11, 12]);
+    assert.strictEqual(calls.recorded[0].answer, 'The launch is on Friday [1].');
+});
+
+test('rebuilds the thread, reads its files and searches with the rewritten question', async () => {
+    const { calls, dependencies } = stubDependencies({
+        threadMessages: [
+            { user: 'U1', ts: '1700000000.000100', text: `<@${BOT_ID}> When is the launch?`, files: [{ id: 'F1', name: 'plan.pdf' }] },
+            { user: BOT_ID, ts: '1700000001.000100', text: 'On Friday [1].' },
+            { user: 'U2', ts: '1700000002.000100', text: 'And the one after?' },
+            { user: BOT_ID, ts: '1700000003.000100', text: 'Thinking...' }
+        ]
+    });
+    llm.script('standalone query', 'The launch after is on Monday [1].');
+    await answerQuestion(
+        { question: 'And the one after?', thread: '1700000000.000100', asker: 'U2', channel: 'C1' },
+        dependencies
+    );
+
+    assert.deepStrictEqual(calls.files, ['F1']);
+    const turns = requests('answer')[0].messages;
+    assert.deepStrictEqual(turns.map(turn => turn.role), ['user', 'assistant', 'user']);
+    assert.match(turns[0].content, /^Message from Name of U1 \(Engineer\)/);
+    assert.match(turns[0].content, /Text of plan\.pdf/);
+    // Citation numbers of earlier answers are dropped and our placeholder isn't part of the thread
+    assert.strictEqual(turns[1].content, 'On Friday.');
+    assert.match(turns[2].content, /And the one after\?$/);
+
+    assert.strictEqual(requests('rewrite').length, 1);
+    assert.strictEqual(calls.retrieval[0].query, 'standalone query');
+});
+
+test('continues an answer cut off at the token limit', async () => {
+    const { dependencies } = stubDependencies();
+    llm.script({ text: 'The launch ', stopReason: 'max_tokens' }, 'is on Friday [2].');
+    const result = await answerQuestion({ question: 'When is the launch?', asker: 'U1', channel: 'C1' }, dependencies);
+
+    assert.strictEqual(result.text, 'The launch is on Friday [2].');
+    const answers = requests('answer');
+    assert.strictEqual(answers.length, 2);
+    assert.deepStrictEqual(answers[1].messages.slice(-2).map(turn => turn.role), ['assistant', 'user']);
+    assert.strictEqual(answers[1].messages[1].content, 'The launch ');
+});
+
+test('summarizes links in the question and reports the ones it could not read', async () => {
+    const { calls, dependencies } = stubDependencies();
+    const result = await answerQuestion({
+        question: 'Compare https://example.com/spec and https://example.com/broken',
+        asker: 'U1',
+        channel: 'C1'
+    }, dependencies);
+
+    assert.deepStrictEqual(calls.links, ['https://example.com/spec', 'https://example.com/broken']);
+    assert.deepStrictEqual(result.failedLinks, [{ url: 'https://example.com/broken', error: 'Could not load' }]);
+    assert.match(requests('answer')[0].system, /Summary of https:\/\/example\.com\/spec/);
+});
+
+test('adds the content of Notion pages linked from the context', async () => {
+    const { calls, dependencies } = stubDependencies({ context: 'See https://www.notion.so/team/Launch-plan-0123456789abcdef0123456789abcdef' });
+    await answerQuestion({ question: 'When is the launch?', asker: 'U1', channel: 'C1' }, dependencies);
+
+    assert.deepStrictEqual(calls.links, ['https://www.notion.so/team/Launch-plan-0123456789abcdef0123456789abcdef']);
+    assert.match(requests('answer')[0].system, /Additional context from Notion pages:/);
+});
+
+test('records a failed answer and rethrows the error', async () => {
+    const { calls, dependencies } = stubDependencies();
+    llm.script(new Error('Model unavailable'));
+
+    await assert.rejects(
+        answerQuestion({ question: 'When is the launch?', asker: 'U1', channel: 'C1' }, dependencies),
+        /Model unavailable/
+    );
+    assert.strictEqual(calls.recorded.length, 1);
+    assert.strictEqual(calls.recorded[0].error, 'Model unavailable');
+});
@@ -0,0 +1,71 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { spawnSync } = require('node:child_process');
+const path = require('node:path');
+const { getEncoding } = require('js-tiktoken');
+const { countTokens, chunkText } = require('../utils/chunker');
+
+// Call a chunker function in a child process so one that never returns fails the test instead of hanging it
+function callInChildProcess(name, ...args) {
+    const script = `
+        const chunker = require(${JSON.stringify(path.join(__dirname, '../utils/chunker'))});
+        process.stdout.write(JSON.stringify(chunker[${JSON.stringify(name)}](...${JSON.stringify(args)})));
+    `;
+    const result = spawnSync(process.execPath, ['-e', script], { timeout: 20000, encoding: 'utf8' });
+    assert.strictEqual(result.signal, null, `${name} did not return`);
+    assert.strictEqual(result.status, 0, result.stderr);
+    return JSON.parse(result.stdout);
+}
+
+test('keeps a short text in one chunk', () => {
+    assert.deepStrictEqual(chunkText('Hello there. How are you?', { maxTokens: 50 }), ['Hello there. How are you?']);
+});
+
+test('glues a heading to the paragraph after it', () => {
+    const chunks = chunkText('# Title\n\nSome text under the title.', { maxTokens: 50 });
+    assert.deepStrictEqual(chunks, ['# Title\n\nSome text under the title.']);
+});
+
+test('splits long paragraphs into chunks within the limit', () => {
+    const text = Array.from({ length: 200 }, (value, index) => `Sentence number ${index} is here.`).join(' ');
+    const chunks = chunkText(text, { maxTokens: 100, overlapTokens: 10 });
+    assert.ok(chunks.length > 1);
+    for (const chunk of chunks) {
+        assert.ok(countTokens(chunk) <= 100, `chunk of ${countTokens(chunk)} tokens`);
+    }
+});
+
+test('returns for a heading as long as the chunk limit followed by a paragraph', () => {
+    const heading = '# ' + 'word '.repeat(120).trim();
+    const paragraph = 'A paragraph after the long heading. '.repeat(20).trim();
+    const chunks = callInChildProcess('chunkText', `${heading}\n\n${paragraph}`, { maxTokens: 100, overlapTokens: 10 });
+    assert.ok(chunks.length > 1);
+    for (const chunk of chunks) {
+        assert.ok(countTokens(chunk) <= 100, `chunk of ${countTokens(chunk)} tokens`);
+    }
+    assert.ok(chunks.join(' ').includes('A paragraph after the long heading.'));
+});
+
+test('returns for a single word longer than the chunk limit', () => {
+    const chunks = callInChildProcess('chunkText', 'x'.repeat(1200), { maxTokens: 20, overlapTokens: 0 });
+    assert.strictEqual(chunks.join(''), 'x'.repeat(1200));
+});
+
+test('returns for multi-byte text cut inside a character', () => {
+    const text = '😀'.repeat(300);
+    const chunks = callInChildProcess('chunkText', text, { maxTokens: 7, overlapTokens: 0 });
+    assert.strictEqual(chunks.join(''), text);
+});
+
+test('returns quickly for long runs of emoji', () => {
+    const text = '😀'.repeat(3000);
+    assert.strictEqual(callInChildProcess('countTokens', text), 6000);
+    assert.strictEqual(callInChildProcess('truncateToTokens', text, 10), '😀'.repeat(5));
+    const chunks = callInChildProcess('chunkText', text, { maxTokens: 100, overlapTokens: 0 });
+    assert.strictEqual(chunks.join(''), text);
+});
+
+test('counts the same tokens in pieces as for the whole text', () => {
+    const text = 'Tokens are counted in pieces split before whitespace, so nothing changes for prose. '.repeat(30);
+    assert.strictEqual(countTokens(text), getEncoding('cl100k_base').encode(text).length);
+});
@@ -0,0 +1,37 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createEmbeddingProvider, createFakeEmbeddingProvider } = require('../utils/embeddings');
+
+const cosine = (a, b) => a.reduce((sum, value, index) => sum + value * b[index], 0);
+
+test('fake embeddings are deterministic unit vectors', async () => {
+    const provider = createFakeEmbeddingProvider();
+    const first = await provider.embed('Quarterly revenue grew strongly');
+    const second = await createFakeEmbeddingProvider().embed('Quarterly revenue grew strongly');
+
+    assert.strictEqual(provider.id, 'fake:16');
+    assert.strictEqual(first.length, 16);
+    assert.deepStrictEqual(first, second);
+    assert.ok(Math.abs(cosine(first, first) - 1) < 1e-9);
+});
+
+test('fake embeddings of texts sharing words are closer than of unrelated texts', async () => {
+    const provider = createFakeEmbeddingProvider(64);
+    const text = await provider.embed('the quarterly revenue report');
+    const similar = await provider.embed('quarterly revenue report for finance');
+    const unrelated = await provider.embed('lunch menu on friday');
+
+    assert.ok(cosine(text, similar) > cosine(text, unrelated));
+    assert.ok(cosine(text, similar) > 0.5);
+});
+
+test('the fake provider takes its dimension from EMBEDDING_DIMENSION', async () => {
+    process.env.EMBEDDING_DIMENSION = '8';
+    try {
+        const provider = createEmbeddingProvider('fake');
+        assert.strictEqual(provider.id, 'fake:8');
+        assert.strictEqual((await provider.embed('hello')).length, 8);
+    } finally {
+        delete process.env.EMBEDDING_DIMENSION;
+    }
+});
@@ -0,0 +1,133 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert');
+
+// These tests empty the messages table, so they only run against a database meant for them.
+// The other connection settings are the usual POSTGRES_* variables
+const TEST_DB = process.env.POSTGRES_TEST_DB;
+const skip = TEST_DB ? false : 'set POSTGRES_TEST_DB to a scratch database to run the hybrid search tests';
+
+const DIMENSION = 16;
+
+// Unit vector along the given axes, the remaining dimensions are zero
+function vector(...values) {
+    const norm = Math.sqrt(values.reduce((sum, value) => sum + value * value, 0));
+    return Array.from({ length: DIMENSION }, (value, index) => (values[index] || 0) / norm);
+}
+
+// Texts get the vector listed here, anything else points along an axis nothing else uses
+const VECTORS = {
+    'Quarterly revenue grew strongly': vector(1),
+    'Sales income went up this period': vector(0.95, 0.31),
+    'Revenue forecast for next year': vector(0.6, 0.8),
+    'Invoice ZX-4471 was paid': vector(0, 0, 1),
+    'Revenue numbers are in the board deck': vector(1),
+    'revenue': vector(1),
+    'earnings trend': vector(1)
+};
+
+const embeddingProvider = {
+    id: 'test:fixed',
+    dimension: DIMENSION,
+    maxTokens: 8192,
+    async embed(text) {
+        return VECTORS[text] || vector(0, 0, 0, 1);
+    }
+};
+
+describe('hybridSearchMessages', { skip }, () => {
+    let db;
+
+    before(async () => {
+        process.env.POSTGRES_DB = TEST_DB;
+        require('../utils/embeddings').setEmbeddingProvider(embeddingProvider);
+        db = require('../utils/db');
+        await db.initializeDatabase();
+        await db.pool.query('TRUNCATE messages, answers, answer_feedback RESTART IDENTITY');
+
+        const chunks = [
+            { channelId: 'C1', threadTs: '1', userName: 'Ada', createdAt: '2024-01-10', content: 'Quarterly revenue grew strongly' },
+            { channelId: 'C1', threadTs: '2', userName: 'Grace', createdAt: '2024-02-10', content: 'Sales income went up this period' },
+            { channelId: 'C2', threadTs: '3', userName: 'Ada', createdAt: '2024-03-10', content: 'Revenue forecast for next year' },
+            { channelId: 'C2', threadTs: '4', userName: 'Grace', createdAt: '2024-04-10', content: 'Invoice ZX-4471 was paid' },
+            { channelId: null, threadTs: 'notion:deck', userName: 'Linus', createdAt: '2024-05-10', content: 'Revenue numbers are in the board deck' }
+        ];
+        for (const { createdAt, ...chunk } of chunks) {
+            await db.storeMessage({ ...chunk, createdAt: new Date(createdAt) });
+        }
+    });
+
+    after(async () => {
+        if (db) await db.pool.end();
+    });
+
+    const search = (query, filters = {}, overrides = {}) => db.hybridSearchMessages(query, 10, filters, overrides);
+    const contents = rows => rows.map(row => row.content);
+
+    test('finds a chunk that only matches the keywords', async () => {
+        const rows = await search('ZX-4471');
+        assert.deepStrictEqual(contents(rows), ['Invoice ZX-4471 was paid']);
+        assert.strictEqual(rows[0].similarity, null);
+        assert.ok(rows[0].keyword_score > 0);
+    });
+
+    test('finds chunks that only match the meaning', async () => {
+        const rows = await search('earnings trend', { channelIds: ['C1', 'C2'] });
+        assert.deepStrictEqual(contents(rows), [
+            'Quarterly revenue grew strongly',
+            'Sales income went up this period',
+            'Revenue forecast for next year'
+        ]);
+        assert.ok(rows.every(row => row.keyword_score === null));
+    });
+
+    test('ranks chunks found by both searches above chunks found by one', async () => {
+        // By vector alone the sales chunk comes second, the forecast also matches the keyword
+        const rows = await search('revenue', { channelIds: ['C1', 'C2'] });
+        assert.deepStrictEqual(contents(rows), [
+            'Quarterly revenue grew strongly',
+            'Revenue forecast for next year',
+            'Sales income went up this period'
+        ]);
+        assert.ok(rows[0].score > rows[1].score && rows[1].score > rows[2].score);
+
+        const vectorOnly = await search('revenue', { channelIds: ['C1', 'C2'] }, { keywordWeight: 0 });
+        assert.deepStrictEqual(contents(vectorOnly), [
+            'Quarterly revenue grew strongly',
+            'Sales income went up this period',
+            'Revenue forecast for next year'
+        ]);
+    });
+
+    test('filters by channel', async () => {
+        const rows = await search('revenue', { channel: 'C2' });
+        assert.deepStrictEqual(contents(rows), ['Revenue forecast for next year']);
+    });
+
+    test('only includes synced documents when the audience may read them', async () => {
+        const withoutDocuments = await search('revenue', { channelIds: ['C1'] });
+        assert.deepStrictEqual(contents(withoutDocuments), [
+            'Quarterly revenue grew strongly',
+            'Sales income went up this period'
+        ]);
+
+        const withDocuments = await search('revenue', { channelIds: ['C1'], includeDocuments: true });
+        assert.ok(contents(withDocuments).includes('Revenue numbers are in the board deck'));
+        assert.ok(!contents(withDocuments).includes('Revenue forecast for next year'));
+
+        assert.deepStrictEqual(await search('revenue', { channelIds: [] }), []);
+    });
+
+    test('filters by user', async () => {
+        const rows = await search('revenue', { channelIds: ['C1', 'C2'], user: 'Ada' });
+        assert.deepStrictEqual(contents(rows).sort(), ['Quarterly revenue grew strongly', 'Revenue forecast for next year']);
+    });
+
+    test('filters by date range', async () => {
+        const rows = await search('revenue', {
+            channelIds: ['C1', 'C2'],
+            minDate: new Date('2024-02-01'),
+            maxDate: new Date('2024-03-31')
+        });
+        assert.deepStrictEqual(contents(rows), ['Revenue forecast for next year', 'Sales income went up this period']);
+    });
+});
@@ -0,0 +1,46 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { isCacheFresh } = require('../utils/linkCache');
+
+function minutesAgo(minutes) {
+    return new Date(Date.now() - minutes * 60 * 1000);
+}
+
+// getRevision counting how often it was asked
+function revision(value) {
+    let calls = 0;
+    const getRevision = async () => {
+        calls++;
+        return value;
+    };
+    getRevision.calls = () => calls;
+    return getRevision;
+}
+
+test('trusts fresh content without checking the revision', async () => {
+    const getRevision = revision('r2');
+    assert.strictEqual(await isCacheFresh({ fetched_at: minutesAgo(1), revision: 'r1', content: 'text' }, getRevision), true);
+    assert.strictEqual(getRevision.calls(), 0);
+});
+
+test('refetches older content when the revision changed', async () => {
+    assert.strictEqual(await isCacheFresh({ fetched_at: minutesAgo(30), revision: 'r1', content: 'text' }, revision('r1')), true);
+    assert.strictEqual(await isCacheFresh({ fetched_at: minutesAgo(30), revision: 'r1', content: 'text' }, revision('r2')), false);
+});
+
+test('refetches content without a revision after a day', async () => {
+    assert.strictEqual(await isCacheFresh({ fetched_at: minutesAgo(60), revision: null, content: 'text' }, revision(null)), true);
+    assert.strictEqual(await isCacheFresh({ fetched_at: minutesAgo(25 * 60), revision: null, content: 'text' }, revision(null)), false);
+});
+
+test('checks the revision of a recent error', async () => {
+    const unchanged = revision('r1');
+    assert.strictEqual(await isCacheFresh({ fetched_at: minutesAgo(1), revision: 'r1', error: 'Not found' }, unchanged), true);
+    assert.strictEqual(unchanged.calls(), 1);
+    assert.strictEqual(await isCacheFresh({ fetched_at: minutesAgo(1), revision: 'r1', error: 'Not found' }, revision('r2')), false);
+});
+
+test('retries an error without a revision or after the retry delay', async () => {
+    assert.strictEqual(await isCacheFresh({ fetched_at: minutesAgo(1), revision: null, error: 'Timed out' }, revision(null)), false);
+    assert.strictEqual(await isCacheFresh({ fetched_at: minutesAgo(90), revision: 'r1', error: 'Not found' }, revision('r1')), false);
+});
@@ -0,0 +1,25 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { extractLinks } = require('../utils/linkProcessor');
+
+test('decodes the entities Slack escapes in message text', () => {
+    assert.deepStrictEqual(
+        extractLinks('Report at https://example.com/report?a=1&amp;b=2 is ready'),
+        ['https://example.com/report?a=1&b=2']
+    );
+});
+
+test('reads links in the <url|label> form without the label', () => {
+    assert.deepStrictEqual(
+        extractLinks('See <https://example.com/spec?x=1&amp;y=2|the spec> and <https://example.com/plan>'),
+        ['https://example.com/spec?x=1&y=2', 'https://example.com/plan']
+    );
+});
+
+test('keeps query strings and fragments', () => {
+    assert.deepStrictEqual(
+        extractLinks('https://www.notion.so/acme/Roadmap-0c1d?p=5f2a&pm=s#heading'),
+        ['https://www.notion.so/acme/Roadmap-0c1d?p=5f2a&pm=s#heading']
+    );
+    assert.deepStrictEqual(extractLinks(''), []);
+});
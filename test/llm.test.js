@@ -0,0 +1,23 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { getRoleConfig } = require('../utils/llm');
+
+test('keeps the roles that always ran on OpenAI there by default', () => {
+    delete process.env.LLM_SHORT_SUMMARY;
+    delete process.env.LLM_DESCRIBE_NOTION_IMAGE;
+    assert.deepStrictEqual(getRoleConfig('short-summary'), { provider: 'openai', model: 'o4-mini' });
+    assert.deepStrictEqual(getRoleConfig('describe-notion-image'), { provider: 'openai', model: 'o4-mini' });
+});
+
+test('reads a role override with a model name containing colons', () => {
+    process.env.LLM_SUMMARIZE = 'local:llama3.1:8b';
+    try {
+        assert.deepStrictEqual(getRoleConfig('summarize'), { provider: 'local', model: 'llama3.1:8b' });
+    } finally {
+        delete process.env.LLM_SUMMARIZE;
+    }
+});
+
+test('rejects unknown roles', () => {
+    assert.throws(() => getRoleConfig('translate'), /Unknown LLM role: translate/);
+});
@@ -0,0 +1,122 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { extractNotionPageId, renderNotionPage, listAllChildren } = require('../utils/notionRenderer');
+const launchPlan = require('./fixtures/notion/launchPlan.json');
+
+// Notion client answering from recorded responses, children are listed one recorded page per cursor
+function recordedNotionClient({ page, children }) {
+    const requests = [];
+    return {
+        requests,
+        pages: {
+            retrieve: async ({ page_id }) => {
+                assert.strictEqual(page_id, page.id);
+                return page;
+            }
+        },
+        blocks: {
+            children: {
+                list: async ({ block_id, start_cursor }) => {
+                    requests.push({ block_id, start_cursor });
+                    const responses = children[block_id];
+                    if (!responses) throw new Error(`No recorded children for ${block_id}`);
+                    const index = start_cursor ? responses.findIndex(response => response.next_cursor === start_cursor) + 1 : 0;
+                    if (index < 0 || !responses[index]) throw new Error(`No recorded page for cursor ${start_cursor}`);
+                    return responses[index];
+                }
+            }
+        }
+    };
+}
+
+test('follows the pagination cursor when listing children', async () => {
+    const notion = recordedNotionClient(launchPlan);
+    const children = await listAllChildren(notion, launchPlan.page.id);
+    assert.strictEqual(children.length, 13);
+    assert.deepStrictEqual(notion.requests, [
+        { block_id: launchPlan.page.id, start_cursor: undefined },
+        { block_id: launchPlan.page.id, start_cursor: launchPlan.children[launchPlan.page.id][0].next_cursor }
+    ]);
+});
+
+test('renders a page with nested children, tables and synced blocks as Markdown', async () => {
+    const { title, markdown } = await renderNotionPage(recordedNotionClient(launchPlan), launchPlan.page.id);
+    assert.strictEqual(title, 'Launch plan');
+    assert.strictEqual(markdown, [
+        '# Launch plan',
+        '',
+        '## Overview',
+        '',
+        'Ship **v2** by Friday, see [the spec](https://example.com/spec).',
+        '',
+        '- Backend',
+        '  - Migrate the `orders` table',
+        '    Needs a maintenance window',
+        '- Frontend',
+        '1. Freeze',
+        '2. Release',
+        '',
+        '| Owner | Task |',
+        '| --- | --- |',
+        '| Ada | API \\| auth |',
+        '| Grace | Release notes |',
+        '',
+        'Support rota is in the shared calendar.',
+        '',
+        'Support rota is in the shared calendar.',
+        '',
+        '- [x] Write changelog',
+        '',
+        '```shell',
+        'npm run deploy',
+        '```',
+        '',
+        '> 💡 Ask in #launch',
+        '',
+        '![Timeline](https://files.notion.test/timeline.png)',
+        ''
+    ].join('\n'));
+});
+
+test('renders the original of a synced block instead of asking for the copy', async () => {
+    const notion = recordedNotionClient(launchPlan);
+    await renderNotionPage(notion, launchPlan.page.id);
+    const copy = launchPlan.children[launchPlan.page.id][1].results.find(block => block.synced_block?.synced_from);
+    assert.ok(!notion.requests.some(request => request.block_id === copy.id));
+    assert.strictEqual(notion.requests.filter(request => request.block_id === copy.synced_block.synced_from.block_id).length, 2);
+});
+
+test('passes blocks with a hook to the hook', async () => {
+    const seen = [];
+    const { markdown } = await renderNotionPage(recordedNotionClient(launchPlan), launchPlan.page.id, {
+        image: async (block, page) => {
+            seen.push([block.type, page.id]);
+            return 'Image: a timeline with three milestones';
+        }
+    });
+    assert.deepStrictEqual(seen, [['image', launchPlan.page.id]]);
+    assert.match(markdown, /Image: a timeline with three milestones\n$/);
+});
+
+test('finds the page ID in every Notion URL shape', () => {
+    const id = '5f2a9c1e-7b3d-4e8a-9c21-0a4b6d8e1f01';
+    const urls = [
+        'https://www.notion.so/Launch-plan-5f2a9c1e7b3d4e8a9c210a4b6d8e1f01',
+        'https://www.notion.so/5f2a9c1e7b3d4e8a9c210a4b6d8e1f01',
+        'https://www.notion.so/acme/Launch-plan-5f2a9c1e7b3d4e8a9c210a4b6d8e1f01',
+        'https://www.notion.so/acme/5f2a9c1e7b3d4e8a9c210a4b6d8e1f01?v=0c1d2e3f4a5b6c7d8e9f0a1b2c3d4e5f',
+        'https://www.notion.so/acme/Roadmap-0c1d2e3f4a5b6c7d8e9f0a1b2c3d4e5f?p=5f2a9c1e7b3d4e8a9c210a4b6d8e1f01&pm=s',
+        'https://acme.notion.site/Launch-plan-5f2a9c1e-7b3d-4e8a-9c21-0a4b6d8e1f01',
+        'https://www.notion.so/Launch-plan-5F2A9C1E7B3D4E8A9C210A4B6D8E1F01#8d1c4e2a3b5f4a7c9e10000000000001',
+        'https://www.notion.so/Launch%20plan-5f2a9c1e7b3d4e8a9c210a4b6d8e1f01',
+        '<https://www.notion.so/Launch-plan-5f2a9c1e7b3d4e8a9c210a4b6d8e1f01|Launch plan>'
+    ];
+    for (const url of urls) {
+        assert.strictEqual(extractNotionPageId(url), id, url);
+    }
+});
+
+test('rejects URLs without a page ID', () => {
+    assert.throws(() => extractNotionPageId('https://www.notion.so/acme'), /Could not find a Notion page ID/);
+    assert.throws(() => extractNotionPageId('not a url'), /Not a valid Notion URL/);
+});
@@ -0,0 +1,56 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { parseDateRange } = require('../utils/queryParser');
+
+// Monday 19 October 2026, in local time like the parser
+const NOW = new Date(2026, 9, 19, 15, 30);
+
+const range = (text) => {
+    const result = parseDateRange(text, NOW);
+    return result && { phrase: result.phrase, minDate: result.minDate, maxDate: result.maxDate };
+};
+
+test('reads days and weeks relative to now', () => {
+    assert.deepStrictEqual(range('what happened today?'), { phrase: 'today', minDate: new Date(2026, 9, 19), maxDate: NOW });
+    assert.deepStrictEqual(range('deploys yesterday'), { phrase: 'yesterday', minDate: new Date(2026, 9, 18), maxDate: new Date(2026, 9, 19) });
+    assert.deepStrictEqual(range('incidents this week'), { phrase: 'this week', minDate: new Date(2026, 9, 19), maxDate: NOW });
+    assert.deepStrictEqual(range('incidents last week'), { phrase: 'last week', minDate: new Date(2026, 9, 12), maxDate: new Date(2026, 9, 19) });
+});
+
+test('reads a number of days, weeks, months or years back from now', () => {
+    assert.deepStrictEqual(range('bugs in the last 3 days'), { phrase: 'in the last 3 days', minDate: new Date(2026, 9, 16, 15, 30), maxDate: NOW });
+    assert.deepStrictEqual(range('bugs in the past 2 weeks'), { phrase: 'in the past 2 weeks', minDate: new Date(2026, 9, 5, 15, 30), maxDate: NOW });
+    assert.deepStrictEqual(range('hires last 6 months'), { phrase: 'last 6 months', minDate: new Date(2026, 3, 19, 15, 30), maxDate: NOW });
+    assert.deepStrictEqual(range('hires past 2 years'), { phrase: 'past 2 years', minDate: new Date(2024, 9, 19, 15, 30), maxDate: NOW });
+});
+
+test('reads calendar months, quarters and years', () => {
+    assert.deepStrictEqual(range('revenue this month'), { phrase: 'this month', minDate: new Date(2026, 9, 1), maxDate: NOW });
+    assert.deepStrictEqual(range('revenue previous month'), { phrase: 'previous month', minDate: new Date(2026, 8, 1), maxDate: new Date(2026, 9, 1) });
+    assert.deepStrictEqual(range('revenue this quarter'), { phrase: 'this quarter', minDate: new Date(2026, 9, 1), maxDate: NOW });
+    assert.deepStrictEqual(range('revenue last quarter'), { phrase: 'last quarter', minDate: new Date(2026, 6, 1), maxDate: new Date(2026, 9, 1) });
+    assert.deepStrictEqual(range('revenue this year'), { phrase: 'this year', minDate: new Date(2026, 0, 1), maxDate: NOW });
+    assert.deepStrictEqual(range('revenue last year'), { phrase: 'last year', minDate: new Date(2025, 0, 1), maxDate: new Date(2026, 0, 1) });
+});
+
+test('reads the past year as the last twelve months', () => {
+    assert.deepStrictEqual(range('launches in the past year'), { phrase: 'past year', minDate: new Date(2025, 9, 19), maxDate: NOW });
+});
+
+test('reads named months, taking the most recent one without a year', () => {
+    assert.deepStrictEqual(range('offsite in March'), { phrase: 'in March', minDate: new Date(2026, 2, 1), maxDate: new Date(2026, 3, 1) });
+    assert.deepStrictEqual(range('offsite in December'), { phrase: 'in December', minDate: new Date(2025, 11, 1), maxDate: new Date(2026, 0, 1) });
+    assert.deepStrictEqual(range('offsite during may 2024'), { phrase: 'during may 2024', minDate: new Date(2024, 4, 1), maxDate: new Date(2024, 5, 1) });
+    assert.deepStrictEqual(range('changes since June'), { phrase: 'since June', minDate: new Date(2026, 5, 1), maxDate: NOW });
+});
+
+test('reads years', () => {
+    assert.deepStrictEqual(range('audits in 2024'), { phrase: 'in 2024', minDate: new Date(2024, 0, 1), maxDate: new Date(2025, 0, 1) });
+    assert.deepStrictEqual(range('audits since 2023'), { phrase: 'since 2023', minDate: new Date(2023, 0, 1), maxDate: NOW });
+});
+
+test('does not take other four digit numbers for years', () => {
+    assert.strictEqual(range('why did the import stop in 5000 rows?'), null);
+    assert.strictEqual(range('errors since 1234 was deployed'), null);
+    assert.strictEqual(range('what is the launch plan?'), null);
+});
@@ -0,0 +1,70 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { splitForSlack, createAnswerStream } = require('../utils/slackStream');
+
+// Slack client keeping the thread's messages by ts
+function stubSlack() {
+    const thread = new Map();
+    let nextTs = 1;
+    return {
+        thread,
+        chat: {
+            postMessage: async ({ text, blocks }) => {
+                const ts = String(nextTs++);
+                thread.set(ts, { text, blocks });
+                return { ts };
+            },
+            update: async ({ ts, text, blocks }) => {
+                assert.ok(thread.has(ts), `update of unknown message ${ts}`);
+                thread.set(ts, { text, blocks });
+            },
+            delete: async ({ ts }) => {
+                thread.delete(ts);
+            }
+        }
+    };
+}
+
+const texts = slack => [...slack.thread.values()].map(message => message.text);
+
+test('splits long text on paragraph boundaries', () => {
+    const paragraph = 'word '.repeat(30).trim();
+    const parts = splitForSlack(`${paragraph}\n\n${paragraph}\n\n${paragraph}`, 320);
+    assert.deepStrictEqual(parts, [`${paragraph}\n\n${paragraph}`, paragraph]);
+    assert.deepStrictEqual(splitForSlack('   '), []);
+});
+
+test('replaces the placeholder with the final answer and its extra blocks', async () => {
+    const slack = stubSlack();
+    const stream = createAnswerStream({ slack, channel: 'C1', threadTs: '100.1' });
+    await stream.start();
+    await stream.finish('The launch is on Friday.', [{ type: 'divider' }]);
+
+    assert.deepStrictEqual(texts(slack), ['The launch is on Friday.']);
+    const [message] = slack.thread.values();
+    assert.deepStrictEqual(message.blocks[message.blocks.length - 1], { type: 'divider' });
+});
+
+test('replaces the placeholder with a fallback when the final answer is empty', async () => {
+    for (const empty of ['', '  \n', null]) {
+        const slack = stubSlack();
+        const stream = createAnswerStream({ slack, channel: 'C1', threadTs: '100.1', emptyText: 'No answer.' });
+        await stream.start();
+        await stream.finish(empty);
+        assert.deepStrictEqual(texts(slack), ['No answer.']);
+    }
+});
+
+test('continues a long answer in follow-ups and deletes them when the final answer is shorter', async () => {
+    const slack = stubSlack();
+    const stream = createAnswerStream({ slack, channel: 'C1', threadTs: '100.1' });
+    await stream.start();
+
+    const paragraph = 'word '.repeat(500).trim();
+    stream.update(`${paragraph}\n\n${paragraph}`);
+    await new Promise(resolve => setTimeout(resolve, 50));
+    assert.strictEqual(slack.thread.size, 2);
+
+    await stream.finish(paragraph);
+    assert.deepStrictEqual(texts(slack), [paragraph]);
+});
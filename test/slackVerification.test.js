@@ -0,0 +1,79 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const {
+    captureRawBody,
+    computeSlackSignature,
+    verifySlackRequest,
+    handleUrlVerification
+} = require('../utils/slackVerification');
+
+const SECRET = 'test-signing-secret';
+let server;
+let baseUrl;
+
+before(async () => {
+    process.env.SLACK_SIGNING_SECRET = SECRET;
+    const app = express();
+    app.use(express.json({ verify: captureRawBody }));
+    app.post('/events', verifySlackRequest, handleUrlVerification, (req, res) => res.status(200).send('handled'));
+    await new Promise(resolve => { server = app.listen(0, resolve); });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+// Post a body signed like Slack would, with the given secret and timestamp
+function post(body, { secret = SECRET, timestamp = Math.floor(Date.now() / 1000), signature } = {}) {
+    const rawBody = JSON.stringify(body);
+    return fetch(`${baseUrl}/events`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'X-Slack-Request-Timestamp': String(timestamp),
+            'X-Slack-Signature': signature || computeSlackSignature(secret, timestamp, rawBody)
+        },
+        body: rawBody
+    });
+}
+
+test('accepts a request signed with the signing secret', async () => {
+    const response = await post({ type: 'event_callback', event: { type: 'message' } });
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(await response.text(), 'handled');
+});
+
+test('rejects a request signed with another secret', async () => {
+    const response = await post({ type: 'event_callback' }, { secret: 'wrong-secret' });
+    assert.strictEqual(response.status, 401);
+});
+
+test('rejects a signature of a different length', async () => {
+    const response = await post({ type: 'event_callback' }, { signature: 'v0=abc' });
+    assert.strictEqual(response.status, 401);
+});
+
+test('rejects a correctly signed request with a stale timestamp', async () => {
+    const response = await post({ type: 'event_callback' }, { timestamp: Math.floor(Date.now() / 1000) - 10 * 60 });
+    assert.strictEqual(response.status, 401);
+});
+
+test('rejects a request without signature headers', async () => {
+    const response = await fetch(`${baseUrl}/events`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: '{}'
+    });
+    assert.strictEqual(response.status, 401);
+});
+
+test('answers a signed url_verification challenge', async () => {
+    const response = await post({ type: 'url_verification', challenge: 'challenge-token' });
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(await response.json(), { challenge: 'challenge-token' });
+});
+
+test('does not answer an unsigned url_verification challenge', async () => {
+    const response = await post({ type: 'url_verification', challenge: 'challenge-token' }, { secret: 'wrong-secret' });
+    assert.strictEqual(response.status, 401);
+});
@@ -0,0 +1,74 @@
+const { pool } = require('./db');
+
+// Classify link processing errors for the failed link report
+function getLinkErrorType(message) {
+    if (message.includes('Google Drive Permission')) return 'google_drive_permission';
+    if (message.includes('Google Drive')) return 'google_drive';
+    if (message.includes('Notion')) return 'notion';
+    if (message.includes('Granola')) return 'granola';
+    return 'other';
+}
+
+// Log a question asked to the bot and the answer it gave
+async function recordAnswer({ channelId, threadTs, userId, question, answer = null, citations = null, chunkIds = null, error = null }) {
+    try {
+        const result = await pool.query(`
+            INSERT INTO answers (channel_id, thread_ts, user_id, question, answer, citations, chunk_ids, error)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+            RETURNING id;
+        `, [channelId, threadTs, userId, question, answer, citations && JSON.stringify(citations), chunkIds, error]);
+        return result.rows[0].id;
+    } catch (error) {
+        // Logging must never break answering
+        console.error('Error recording answer:', error);
+        return null;
+    }
+}
+
+// A single logged answer
+async function getAnswer(id) {
+    const result = await pool.query('SELECT * FROM answers WHERE id = $1', [id]);
+    return result.rows[0] || null;
+}
+
+// Log a link that could not be processed
+async function recordLinkFailure(url, error) {
+    try {
+        await pool.query(
+            'INSERT INTO link_failures (url, error_type, error) VALUES ($1, $2, $3)',
+            [url, getLinkErrorType(error.message || ''), error.message]
+        );
+    } catch (dbError) {
+        console.error('Error recording link failure:', dbError);
+    }
+}
+
+// Most recent questions and answers
+async function listRecentAnswers(limit = 50) {
+    const result = await pool.query(
+        'SELECT * FROM answers ORDER BY created_at DESC LIMIT $1',
+        [limit]
+    );
+    return result.rows;
+}
+
+// Failed links grouped by URL, most recent failure first
+async function listLinkFailures(limit = 100) {
+    const result = await pool.query(`
+        SELECT DISTINCT ON (url) url, error_type, error, created_at,
+               COUNT(*) OVER (PARTITION BY url)::int AS failure_count
+        FROM link_failures
+        ORDER BY url, created_at DESC;
+    `);
+    return result.rows
+        .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))
+        .slice(0, limit);
+}
+
+module.exports = {
+    recordAnswer,
+    getAnswer,
+    recordLinkFailure,
+    listRecentAnswers,
+    listLinkFailures
+};
@@ -0,0 +1,49 @@
+const crypto = require('crypto');
+
+// Compare secrets in constant time regardless of their length
+function safeEqual(received, expected) {
+    const receivedHash = crypto.createHash('sha256').update(received).digest();
+    const expectedHash = crypto.createHash('sha256').update(expected).digest();
+    return crypto.timingSafeEqual(receivedHash, expectedHash);
+}
+
+// Middleware requiring the ADMIN_API_TOKEN as a bearer token
+function requireAdminToken(req, res, next) {
+    const adminToken = process.env.ADMIN_API_TOKEN;
+    if (!adminToken) {
+        return res.status(503).json({ error: 'Admin API is not configured' });
+    }
+
+    const header = req.get('Authorization') || '';
+    const token = header.startsWith('Bearer ') ? header.slice('Bearer '.length) : '';
+    if (!token || !safeEqual(token, adminToken)) {
+        return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    next();
+}
+
+// Middleware requiring HTTP basic auth with DASHBOARD_USERNAME and DASHBOARD_PASSWORD
+function requireDashboardAuth(req, res, next) {
+    const username = process.env.DASHBOARD_USERNAME;
+    const password = process.env.DASHBOARD_PASSWORD;
+    if (!username || !password) {
+        return res.status(503).send('Dashboard is not configured');
+    }
+
+    const header = req.get('Authorization') || '';
+    const credentials = header.startsWith('Basic ')
+        ? Buffer.from(header.slice('Basic '.length), 'base64').toString('utf8')
+        : '';
+    if (!safeEqual(credentials, `${username}:${password}`)) {
+        res.set('WWW-Authenticate', 'Basic realm="Knowledge base"');
+        return res.status(401).send('Unauthorized');
+    }
+
+    next();
+}
+
+module.exports = {
+    requireAdminToken,
+    requireDashboardAuth
+};
@@ -0,0 +1,233 @@
+const { WebClient } = require('@slack/web-api');
+const linkProcessor = require('./linkProcessor');
+const retrieval = require('./retrieval');
+const { buildAnswerPrompt } = require('./prompts');
+const messageProcessor = require('./messageProcessor');
+const activityLog = require('./activityLog');
+const { validateCitations } = require('./citations');
+const llm = require('./llm');
+
+const defaultSlack = new WebClient(process.env.SLACK_BOT_OAUTH);
+
+const ANSWER_MAX_TOKENS = 1000;
+// How many times an answer cut off at ANSWER_MAX_TOKENS is continued
+const ANSWER_MAX_CONTINUATIONS = parseInt(process.env.ANSWER_MAX_CONTINUATIONS || '3', 10);
+
+// Documents whose full content is added to the prompt when they are linked from the context or thread
+const LINKED_DOCUMENTS = [
+    { label: 'Notion pages', regex: /https:\/\/[^\s<>]*notion\.so\/[^\s<>]*/g },
+    { label: 'Google Spreadsheets', regex: /https:\/\/[^\s<>]*docs\.google\.com\/spreadsheets\/[^\s<>]*/g }
+];
+
+// Summarize the links in the question, keeping track of the ones we could not read
+async function summarizeQuestionLinks(processLink, question) {
+    let linkSummaryText = "";
+    const failedLinks = [];
+    const links = linkProcessor.extractLinks(question);
+    if (links.length > 0) {
+        linkSummaryText = "Here's a summary of the links in your message:\n\n";
+        for (const link of links) {
+            try {
+                const { summary } = await processLink(link);
+                linkSummaryText += `${link} : \n${summary}\n\n`;
+            } catch (error) {
+                console.error(`Error processing link ${link}:`, error);
+                failedLinks.push({ url: link, error: error.message });
+                linkSummaryText += `*${link}*\nSorry, I couldn't process this link.\n\n`;
+            }
+        }
+    }
+    return { linkSummaryText, failedLinks };
+}
+
+// Rebuild the thread as alternating user and assistant turns. Our own replies become
+// assistant turns, everyone else's messages user turns tagged with who wrote them
+async function getThreadTurns(slack, processFileSegment, channel, threadTs) {
+    const threadResponse = await slack.conversations.replies({ channel, ts: threadTs });
+    // Our own messages after the last question are the answer being written right now
+    const messages = [...threadResponse.messages];
+    while (messages.length > 0 && messages[messages.length - 1].user === process.env.SLACK_BOT_ID) {
+        messages.pop();
+    }
+
+    const userInfos = new Map();
+    const getUserInfo = (user) => {
+        if (!userInfos.has(user)) userInfos.set(user, slack.users.info({ user }));
+        return userInfos.get(user);
+    };
+
+    const turns = await Promise.all(messages.map(async (msg) => {
+        if (msg.user === process.env.SLACK_BOT_ID) {
+            // Citation numbers refer to the sources of that answer, not the ones given now
+            return { role: "assistant", content: (msg.text || '').replace(/\s*\[\d+\]/g, '') };
+        }
+
+        let text = stripBotMention(msg.text || '');
+        for (const file of msg.files || []) {
+            try {
+                const segment = await processFileSegment(file, msg.ts);
+                if (segment) text += `\n${segment.text}`;
+            } catch (error) {
+                console.error(`Error processing file ${file.name}:`, error);
+            }
+        }
+
+        try {
+            const userInfo = await getUserInfo(msg.user);
+            const userName = userInfo.user ? (userInfo.user.real_name || userInfo.user.name) : msg.user;
+            const userTitle = userInfo.user?.profile?.title || 'No title';
+            const messageDate = new Date(parseFloat(msg.ts) * 1000);
+            const daysSince = Math.floor((new Date() - messageDate) / (1000 * 60 * 60 * 24));
+            return { role: "user", content: `Message from ${userName} (${userTitle}) ${daysSince} days ago: ${text}` };
+        } catch (error) {
+            console.error('Error getting user info:', error);
+            return { role: "user", content: `Message from ${msg.user}: ${text}` };
+        }
+    }));
+
+    // Models expect the conversation to start with the user and alternate, merge consecutive turns
+    const merged = [];
+    for (const turn of turns) {
+        if (!turn.content.trim()) continue;
+        const last = merged[merged.length - 1];
+        if (last && last.role === turn.role) {
+            last.content += `\n\n${turn.content}`;
+        } else if (last || turn.role === "user") {
+            merged.push({ ...turn });
+        }
+    }
+    return merged;
+}
+
+function stripBotMention(text) {
+    return text.replace(new RegExp(`<@${process.env.SLACK_BOT_ID}>\\s*`, 'g'), '').trim();
+}
+
+// Turn a follow-up like "what about last quarter?" into a query that makes sense on its own
+async function rewriteQuery(complete, turns, question) {
+    if (turns.length < 2) {
+        return question;
+    }
+    const transcript = turns.slice(0, -1)
+        .map(turn => `${turn.role === "user" ? "User" : "Assistant"}: ${turn.content}`)
+        .join('\n\n');
+    try {
+        const query = await complete('rewrite', {
+            maxTokens: 200,
+            system: "Rewrite the latest message of a conversation into a standalone search query for a company knowledge base. Resolve pronouns and references to earlier messages using the conversation. Keep Slack mentions like <#C123> and <@U123>, names and time expressions like 'last month' exactly as written. Reply with the query only.",
+            messages: [{
+                role: "user",
+                content: `Conversation:\n${transcript}\n\nLatest message:\n${question}`
+            }]
+        });
+        return query.trim() || question;
+    } catch (error) {
+        console.error('Error rewriting query, searching with the raw question:', error);
+        return question;
+    }
+}
+
+// Full content of the Notion pages and spreadsheets linked from the given text
+async function getLinkedDocuments(processLink, text) {
+    let documents = '';
+    for (const { label, regex } of LINKED_DOCUMENTS) {
+        const links = [...new Set(text.match(regex) || [])];
+        const contents = await Promise.all(links.map(async (link) => {
+            try {
+                const { content } = await processLink(link);
+                return `Content from ${link}:\n${content}`;
+            } catch (error) {
+                console.error(`Error processing linked document ${link}:`, error);
+                return '';
+            }
+        }));
+        const validContents = contents.filter(content => content);
+        if (validContents.length > 0) {
+            documents += `\n\nAdditional context from ${label}:\n` + validContents.join('\n\n');
+        }
+    }
+    return documents;
+}
+
+// Stream the answer, asking the model to carry on whenever it stops at the token cap.
+// onText is called with the whole answer so far every time it grows
+async function generateAnswer(stream, { system, turns, onText }) {
+    let answer = '';
+    let messages = turns;
+    for (let continuation = 0; ; continuation++) {
+        const previous = answer;
+        const { text, stopReason } = await stream('answer', {
+            maxTokens: ANSWER_MAX_TOKENS,
+            system,
+            messages,
+            onText: (delta) => {
+                answer += delta;
+                if (onText) onText(answer);
+            }
+        });
+        answer = previous + text;
+        if (stopReason !== 'max_tokens' || continuation >= ANSWER_MAX_CONTINUATIONS) {
+            return answer;
+        }
+        messages = [
+            ...turns,
+            { role: "assistant", content: answer },
+            { role: "user", content: "Continue exactly where you stopped, without repeating anything." }
+        ];
+    }
+}
+
+// Answer a question asked by the user `asker` in `channel`, optionally inside the thread
+// starting at `thread`. Returns the answer text, the numbered sources it cited out of all
+// the sources it was given, the logged answer ID and the links in the question that could not be read.
+// Slack and LLM clients, retrieval, link and file processing and answer logging can be swapped
+// out through the second argument, which also takes an onText callback receiving the answer so far
+// while it is generated.
+async function answerQuestion({ question, thread = null, asker, channel }, {
+    slack = defaultSlack,
+    complete = llm.complete,
+    stream = llm.stream,
+    getRelevantContext = retrieval.getRelevantContext,
+    processLink = linkProcessor.processLink,
+    processFileSegment = messageProcessor.processFileSegment,
+    recordAnswer = activityLog.recordAnswer,
+    onText = null
+} = {}) {
+    try {
+        const { linkSummaryText, failedLinks } = await summarizeQuestionLinks(processLink, question);
+        const turns = thread ? await getThreadTurns(slack, processFileSegment, channel, thread) : [];
+        if (turns.length === 0 || turns[turns.length - 1].role !== "user") {
+            turns.push({ role: "user", content: stripBotMention(question) });
+        }
+
+        // Retrieval only sees one query, so follow-ups are rewritten to stand on their own
+        const query = await rewriteQuery(complete, turns, stripBotMention(question));
+        const { context, sources } = await getRelevantContext(query, { userId: asker, channelId: channel });
+        const linkedDocuments = await getLinkedDocuments(processLink, `${context}\n${turns.map(turn => turn.content).join('\n')}`);
+
+        const answer = await generateAnswer(stream, {
+            system: buildAnswerPrompt({ context: context + linkedDocuments, linkSummaryText }),
+            turns,
+            onText
+        });
+
+        const { text, citations } = validateCitations(answer, sources);
+        const answerId = await recordAnswer({
+            channelId: channel,
+            threadTs: thread,
+            userId: asker,
+            question,
+            answer: text,
+            citations,
+            chunkIds: sources.map(source => source.chunkId)
+        });
+        return { text, citations, uncited: citations.length === 0, sources, answerId, failedLinks };
+    } catch (error) {
+        await recordAnswer({ channelId: channel, threadTs: thread, userId: asker, question, error: error.message });
+        throw error;
+    }
+}
+
+module.exports = {
+    answerQuestion
+};
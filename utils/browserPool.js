@@ -0,0 +1,110 @@
+const { chromium } = require('playwright');
+
+// Pages open at the same time, further requests wait for a free one
+const BROWSER_MAX_PAGES = parseInt(process.env.BROWSER_MAX_PAGES || '3', 10);
+// Timeout of navigation and of each action on a page
+const BROWSER_PAGE_TIMEOUT_MS = parseInt(process.env.BROWSER_PAGE_TIMEOUT_MS || '30000', 10);
+// Limit for a whole fetch including extraction, the page is closed when it runs out
+const BROWSER_TASK_TIMEOUT_MS = parseInt(process.env.BROWSER_TASK_TIMEOUT_MS || '60000', 10);
+
+// Requests that only slow pages down, the page text doesn't depend on them
+const BLOCKED_RESOURCE_TYPES = ['media', 'font'];
+const AD_HOSTS = /(^|\.)(doubleclick\.net|googlesyndication\.com|googleadservices\.com|google-analytics\.com|googletagmanager\.com|adnxs\.com|amazon-adsystem\.com|facebook\.net|scorecardresearch\.com|taboola\.com|outbrain\.com)$/;
+
+let browserPromise = null;
+let closing = false;
+let openPages = 0;
+const waiting = [];
+
+// One browser is shared by every fetch and launched again if it crashes
+function getBrowser() {
+    if (closing) {
+        return Promise.reject(new Error('Browser pool is shutting down'));
+    }
+    if (!browserPromise) {
+        browserPromise = chromium.launch().then(browser => {
+            browser.on('disconnected', () => { browserPromise = null; });
+            return browser;
+        });
+        browserPromise.catch(() => { browserPromise = null; });
+    }
+    return browserPromise;
+}
+
+async function acquirePage() {
+    if (openPages < BROWSER_MAX_PAGES) {
+        openPages++;
+        return;
+    }
+    await new Promise(resolve => waiting.push(resolve));
+}
+
+// Hand the slot to the next waiting fetch, or free it
+function releasePage() {
+    const next = waiting.shift();
+    if (next) {
+        next();
+    } else {
+        openPages--;
+    }
+}
+
+function shouldBlock(request, allowImages) {
+    const type = request.resourceType();
+    if (BLOCKED_RESOURCE_TYPES.includes(type) || (type === 'image' && !allowImages)) {
+        return true;
+    }
+    try {
+        return AD_HOSTS.test(new URL(request.url()).hostname);
+    } catch (error) {
+        return false;
+    }
+}
+
+// Open url in a fresh context of the shared browser and return what extract(page, response) returns.
+// The context is always closed, also when navigation or extraction fails or runs out of time
+async function fetchPage(url, extract, { waitUntil = 'domcontentloaded', timeout = BROWSER_PAGE_TIMEOUT_MS, allowImages = false } = {}) {
+    await acquirePage();
+    let context = null;
+    let timer = null;
+    try {
+        const browser = await getBrowser();
+        context = await browser.newContext();
+        await context.route('**/*', route => shouldBlock(route.request(), allowImages) ? route.abort() : route.continue());
+        const page = await context.newPage();
+        page.setDefaultTimeout(timeout);
+
+        const work = page.goto(url, { waitUntil, timeout }).then(response => extract(page, response));
+        // Closing the context below makes the abandoned work fail, nobody is waiting for it anymore
+        work.catch(() => {});
+        const deadline = new Promise((resolve, reject) => {
+            timer = setTimeout(() => reject(new Error(`Timed out after ${BROWSER_TASK_TIMEOUT_MS}ms loading ${url}`)), BROWSER_TASK_TIMEOUT_MS);
+        });
+        return await Promise.race([work, deadline]);
+    } finally {
+        clearTimeout(timer);
+        if (context) {
+            await context.close().catch(error => console.error('Error closing browser context:', error.message));
+        }
+        releasePage();
+    }
+}
+
+// Close the shared browser, fetches started afterwards fail
+async function closeBrowserPool() {
+    closing = true;
+    if (!browserPromise) {
+        return;
+    }
+    try {
+        const browser = await browserPromise;
+        await browser.close();
+    } catch (error) {
+        console.error('Error closing browser:', error.message);
+    }
+}
+
+module.exports = {
+    fetchPage,
+    closeBrowserPool
+};
@@ -0,0 +1,153 @@
+const { WebClient } = require('@slack/web-api');
+const { pool } = require('./db');
+const { registerJobHandler, enqueueJob } = require('./jobQueue');
+
+const slack = new WebClient(process.env.SLACK_BOT_OAUTH);
+
+// How long a channel's cached member list is trusted before it is fetched again
+const MEMBERSHIP_CACHE_MINUTES = parseInt(process.env.MEMBERSHIP_CACHE_MINUTES || '60', 10);
+
+// Fetch a channel's privacy and member list from Slack and replace the cached copy
+async function syncChannel(channelId) {
+    const { channel } = await slack.conversations.info({ channel: channelId });
+    const members = [];
+    let cursor;
+    do {
+        const result = await slack.conversations.members({ channel: channelId, limit: 1000, cursor });
+        members.push(...result.members);
+        cursor = result.response_metadata?.next_cursor || undefined;
+    } while (cursor);
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        await client.query(`
+            INSERT INTO slack_channels (channel_id, is_private, is_ext_shared, synced_at)
+            VALUES ($1, $2, $3, NOW())
+            ON CONFLICT (channel_id) DO UPDATE
+            SET is_private = EXCLUDED.is_private, is_ext_shared = EXCLUDED.is_ext_shared, synced_at = NOW();
+        `, [channelId, Boolean(channel.is_private || channel.is_im || channel.is_mpim), Boolean(channel.is_ext_shared)]);
+        await client.query('DELETE FROM channel_members WHERE channel_id = $1', [channelId]);
+        await client.query(
+            'INSERT INTO channel_members (channel_id, user_id) SELECT $1, unnest($2::text[]) ON CONFLICT DO NOTHING',
+            [channelId, members]
+        );
+        await client.query('COMMIT');
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+// Re-sync the channels whose cached membership is missing or older than MEMBERSHIP_CACHE_MINUTES
+async function refreshChannels(channelIds) {
+    const fresh = await pool.query(
+        `SELECT channel_id FROM slack_channels
+         WHERE channel_id = ANY($1) AND synced_at > NOW() - make_interval(mins => $2)`,
+        [channelIds, MEMBERSHIP_CACHE_MINUTES]
+    );
+    const freshIds = new Set(fresh.rows.map(row => row.channel_id));
+    for (const channelId of channelIds) {
+        if (freshIds.has(channelId)) continue;
+        try {
+            await syncChannel(channelId);
+        } catch (error) {
+            // Keep whatever is cached, a channel never synced stays invisible
+            console.error(`Error syncing members of channel ${channelId}:`, error.data?.error || error.message);
+        }
+    }
+}
+
+// Re-sync the stale channels we hold messages from, so questions only wait on the audience channel
+async function refreshStoredChannels() {
+    const stored = await pool.query('SELECT DISTINCT channel_id FROM messages WHERE channel_id IS NOT NULL');
+    await refreshChannels(stored.rows.map(row => row.channel_id));
+}
+
+// Queue a refresh of the membership cache, then one every half MEMBERSHIP_CACHE_MINUTES
+// so no cached channel gets much older than that
+async function scheduleChannelRefresh() {
+    const enqueue = () => enqueueJob('refresh_channels', {}, { dedupeKey: 'refresh_channels' })
+        .catch(error => console.error('Error scheduling channel refresh:', error));
+    await enqueue();
+    setInterval(enqueue, Math.max(1, MEMBERSHIP_CACHE_MINUTES / 2) * 60 * 1000).unref();
+}
+
+// Forget a channel's cached membership so it is fetched again on the next question
+async function invalidateChannel(channelId) {
+    await pool.query('DELETE FROM slack_channels WHERE channel_id = $1', [channelId]);
+}
+
+// Channels whose content may be used to answer userId in channelId. The asker must be a
+// member of every source channel, and since the answer is posted where everyone in
+// channelId reads it, a private source must also include all of that channel's members.
+// Public sources are readable by the whole workspace, but not by the other side of an
+// externally shared channel. Without a channelId only the asker will see the result.
+// Only the audience channel is refreshed here, source channels come from the cache the
+// refresh_channels job keeps up to date
+async function getAllowedChannelIds(userId, channelId = null) {
+    if (channelId) {
+        await refreshChannels([channelId]);
+    }
+
+    if (!channelId) {
+        const result = await pool.query('SELECT channel_id FROM channel_members WHERE user_id = $1', [userId]);
+        return result.rows.map(row => row.channel_id);
+    }
+
+    const result = await pool.query(`
+        WITH audience AS (
+            SELECT * FROM slack_channels WHERE channel_id = $2
+        )
+        SELECT source.channel_id
+        FROM slack_channels source
+        JOIN channel_members asker ON asker.channel_id = source.channel_id AND asker.user_id = $1
+        WHERE (NOT source.is_private AND EXISTS (SELECT 1 FROM audience WHERE NOT is_ext_shared))
+           OR (EXISTS (SELECT 1 FROM audience) AND NOT EXISTS (
+                SELECT 1 FROM channel_members reader
+                WHERE reader.channel_id = $2
+                  AND NOT EXISTS (
+                      SELECT 1 FROM channel_members member
+                      WHERE member.channel_id = source.channel_id AND member.user_id = reader.user_id
+                  )
+           ));
+    `, [userId, channelId]);
+    return result.rows.map(row => row.channel_id);
+}
+
+// Whether synced Notion and Drive documents may be used to answer userId in channelId. They are
+// readable by the workspace's own members only, never by the other side of an externally shared
+// channel, and an unknown audience is treated as external. Without a channelId only the asker reads
+// the answer and must be in a channel that isn't externally shared, which outside users never are.
+// Relies on the membership cache getAllowedChannelIds and the refresh_channels job keep up to date
+async function canReadSyncedDocuments(userId, channelId = null) {
+    if (channelId) {
+        const result = await pool.query(`
+            SELECT 1
+            FROM slack_channels audience
+            JOIN channel_members asker ON asker.channel_id = audience.channel_id AND asker.user_id = $1
+            WHERE audience.channel_id = $2 AND NOT audience.is_ext_shared;
+        `, [userId, channelId]);
+        return result.rows.length > 0;
+    }
+    const result = await pool.query(`
+        SELECT 1
+        FROM channel_members member
+        JOIN slack_channels channel ON channel.channel_id = member.channel_id
+        WHERE member.user_id = $1 AND NOT channel.is_ext_shared
+        LIMIT 1;
+    `, [userId]);
+    return result.rows.length > 0;
+}
+
+registerJobHandler('refresh_channels', refreshStoredChannels);
+
+module.exports = {
+    canReadSyncedDocuments,
+    getAllowedChannelIds,
+    invalidateChannel,
+    scheduleChannelRefresh,
+    syncChannel
+};
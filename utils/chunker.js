@@ -0,0 +1,231 @@
+const { getEncoding } = require('js-tiktoken');
+
+// cl100k_base is the tokenizer used by the OpenAI embedding and chat models
+const encoding = getEncoding('cl100k_base');
+
+const DEFAULT_MAX_TOKENS = 500;
+const DEFAULT_OVERLAP_TOKENS = 50;
+
+// Encoding time grows with the square of the longest run without whitespace, so a few thousand
+// emoji or symbols in a row would take minutes. Text is encoded in pieces of at most this many characters
+const MAX_ENCODE_CHARS = 200;
+
+// Split text before whitespace where possible, so the pieces encode to the same tokens as the whole.
+// Runs longer than MAX_ENCODE_CHARS are cut, never inside a surrogate pair
+function splitForEncoding(text) {
+    const pieces = [];
+    let start = 0;
+    while (text.length - start > MAX_ENCODE_CHARS) {
+        let end = start + MAX_ENCODE_CHARS;
+        const space = text.slice(start + 1, end).search(/\s\S*$/);
+        if (space !== -1) {
+            end = start + 1 + space;
+        } else if (/[\uD800-\uDBFF]/.test(text[end - 1])) {
+            end--;
+        }
+        pieces.push(text.slice(start, end));
+        start = end;
+    }
+    pieces.push(text.slice(start));
+    return pieces;
+}
+
+function countTokens(text) {
+    return splitForEncoding(text).reduce((count, piece) => count + encoding.encode(piece).length, 0);
+}
+
+// Cut text down to at most maxTokens tokens
+function truncateToTokens(text, maxTokens) {
+    const tokens = [];
+    for (const piece of splitForEncoding(text)) {
+        tokens.push(...encoding.encode(piece));
+        if (tokens.length > maxTokens) {
+            return encoding.decode(tokens.slice(0, maxTokens));
+        }
+    }
+    return text;
+}
+
+// Split text into paragraphs, fenced code blocks and headings. Code blocks are never split here
+function splitIntoBlocks(text) {
+    const blocks = [];
+    let current = [];
+    let inCode = false;
+
+    const flush = (type) => {
+        const blockText = current.join('\n').trim();
+        if (blockText) {
+            blocks.push({ type, text: blockText });
+        }
+        current = [];
+    };
+
+    for (const line of text.split('\n')) {
+        if (line.trim().startsWith('```')) {
+            if (inCode) {
+                current.push(line);
+                flush('code');
+                inCode = false;
+            } else {
+                flush('paragraph');
+                current.push(line);
+                inCode = true;
+            }
+        } else if (inCode) {
+            current.push(line);
+        } else if (/^#{1,6}\s/.test(line.trim())) {
+            flush('paragraph');
+            current.push(line);
+            flush('heading');
+        } else if (!line.trim()) {
+            flush('paragraph');
+        } else {
+            current.push(line);
+        }
+    }
+    flush(inCode ? 'code' : 'paragraph');
+    return blocks;
+}
+
+// Split on sentence ends followed by whitespace, so URLs, decimals and file names stay intact
+function splitSentences(text) {
+    return text.split(/(?<=[.!?])\s+(?=\S)/).filter(sentence => sentence.trim());
+}
+
+// Break a block that is larger than maxTokens into pieces that fit
+function splitLargeBlock(block, maxTokens) {
+    maxTokens = Math.max(1, maxTokens);
+    if (block.type === 'code') {
+        // Split code by lines and re-open the fence in every piece
+        const lines = block.text.split('\n');
+        const fence = lines[0].trim();
+        const body = lines.slice(1, lines[lines.length - 1].trim().startsWith('```') ? -1 : undefined);
+        const pieces = [];
+        let current = [];
+        for (const line of body) {
+            if (current.length && countTokens([fence, ...current, line, '```'].join('\n')) > maxTokens) {
+                pieces.push([fence, ...current, '```'].join('\n'));
+                current = [];
+            }
+            current.push(truncateToTokens(line, Math.max(1, maxTokens - countTokens(fence + '\n```\n'))));
+        }
+        if (current.length) pieces.push([fence, ...current, '```'].join('\n'));
+        return pieces;
+    }
+
+    const pieces = [];
+    let current = '';
+    for (const sentence of splitSentences(block.text)) {
+        const candidate = current ? `${current} ${sentence}` : sentence;
+        if (countTokens(candidate) <= maxTokens) {
+            current = candidate;
+            continue;
+        }
+        if (current) pieces.push(current);
+        // A single sentence over the limit is cut on token boundaries. truncateToTokens only encodes
+        // about as much as it keeps, so a long sentence isn't encoded whole for every piece
+        let rest = sentence;
+        let head;
+        while ((head = truncateToTokens(rest, maxTokens)) !== rest) {
+            // A head that isn't a prefix of rest, e.g. a multi-byte character cut in half, would never shrink it
+            if (!head || !rest.startsWith(head)) {
+                pieces.push(rest.slice(0, Math.max(1, head.length)));
+                rest = rest.slice(Math.max(1, head.length));
+                continue;
+            }
+            pieces.push(head);
+            rest = rest.slice(head.length);
+        }
+        current = rest;
+    }
+    if (current.trim()) pieces.push(current);
+    return pieces;
+}
+
+// Trailing sentences of a chunk, at most overlapTokens long, repeated at the start of the next chunk
+function getOverlap(text, overlapTokens) {
+    if (!overlapTokens || text.includes('```')) {
+        return '';
+    }
+    const sentences = splitSentences(text);
+    let overlap = '';
+    for (let i = sentences.length - 1; i >= 0; i--) {
+        const candidate = overlap ? `${sentences[i]} ${overlap}` : sentences[i];
+        if (countTokens(candidate) > overlapTokens) break;
+        overlap = candidate;
+    }
+    return overlap;
+}
+
+// Chunk the text of one segment, starting new chunks at headings where possible
+function chunkText(text, { maxTokens = DEFAULT_MAX_TOKENS, overlapTokens = DEFAULT_OVERLAP_TOKENS } = {}) {
+    // Headings are glued to the block that follows them so a chunk never ends on a bare heading.
+    // Headings longer than a quarter of a chunk are chunked like paragraphs, so the block after them keeps room
+    const pieces = [];
+    let pendingHeading = null;
+    for (let block of splitIntoBlocks(text)) {
+        if (block.type === 'heading' && countTokens(block.text) > maxTokens / 4) {
+            block = { type: 'paragraph', text: block.text };
+        }
+        if (block.type === 'heading') {
+            if (pendingHeading) pieces.push(pendingHeading);
+            pendingHeading = block;
+            continue;
+        }
+        const prefix = pendingHeading ? `${pendingHeading.text}\n\n` : '';
+        const budget = maxTokens - countTokens(prefix);
+        const parts = countTokens(block.text) > budget ? splitLargeBlock(block, budget) : [block.text];
+        parts.forEach((part, index) => {
+            pieces.push(index === 0 && pendingHeading
+                ? { type: 'heading', text: prefix + part }
+                : { type: block.type, text: part });
+        });
+        pendingHeading = null;
+    }
+    if (pendingHeading) pieces.push(pendingHeading);
+
+    const chunks = [];
+    let current = '';
+    for (const piece of pieces) {
+        const candidate = current ? `${current}\n\n${piece.text}` : piece.text;
+        const headingBreak = piece.type === 'heading' && countTokens(current) > maxTokens / 2;
+        if (current && (countTokens(candidate) > maxTokens || headingBreak)) {
+            chunks.push(current);
+            const overlap = headingBreak ? '' : getOverlap(current, overlapTokens);
+            const withOverlap = overlap ? `${overlap}\n\n${piece.text}` : piece.text;
+            current = countTokens(withOverlap) <= maxTokens ? withOverlap : piece.text;
+        } else {
+            current = candidate;
+        }
+    }
+    if (current.trim()) chunks.push(current);
+    return chunks;
+}
+
+// Chunk a list of { type, text, ...provenance } segments. Chunks never span two segments
+// and carry the type, index and provenance of the segment they came from
+function chunkSegments(segments, options = {}) {
+    const chunks = [];
+    segments.forEach((segment, segmentIndex) => {
+        const { text, type, ...provenance } = segment;
+        if (!text || !text.trim()) return;
+        for (const chunk of chunkText(text, options)) {
+            chunks.push({
+                text: chunk,
+                metadata: {
+                    segment_index: segmentIndex,
+                    segment_type: type,
+                    ...provenance
+                }
+            });
+        }
+    });
+    return chunks;
+}
+
+module.exports = {
+    countTokens,
+    truncateToTokens,
+    chunkText,
+    chunkSegments
+};
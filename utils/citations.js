@@ -0,0 +1,69 @@
+// Slack renders at most 10 elements in a context block
+const MAX_SOURCE_ELEMENTS = 10;
+
+// Check the [n] citations in an answer against the numbered sources it was given.
+// Citations to numbers that were never given are dropped from the text
+function validateCitations(text, sources) {
+    const byIndex = new Map(sources.map(source => [source.index, source]));
+    const cited = new Set();
+    const invalid = [];
+
+    const cleaned = text.replace(/\[(\d+)\]/g, (marker, number) => {
+        const index = parseInt(number, 10);
+        if (byIndex.has(index)) {
+            cited.add(index);
+            return marker;
+        }
+        invalid.push(index);
+        return '';
+    });
+    if (invalid.length > 0) {
+        console.warn(`Answer cited unknown sources: ${invalid.join(', ')}`);
+    }
+
+    return {
+        text: cleaned,
+        citations: [...cited].sort((a, b) => a - b).map(index => byIndex.get(index)),
+        invalid
+    };
+}
+
+function formatAge(date) {
+    const days = Math.floor((new Date() - new Date(date)) / (1000 * 60 * 60 * 24));
+    if (days <= 0) return 'today';
+    if (days === 1) return 'yesterday';
+    return `${days} days ago`;
+}
+
+// Blocks listing the cited sources, or a warning when the answer cites nothing
+function formatSourceBlocks(citations) {
+    if (citations.length === 0) {
+        return [{
+            type: "context",
+            elements: [{
+                type: "mrkdwn",
+                text: ":warning: This answer doesn't cite anything from the knowledge base, double-check it before relying on it."
+            }]
+        }];
+    }
+
+    const elements = citations.slice(0, MAX_SOURCE_ELEMENTS).map(citation => {
+        // Synced documents have no channel, their permalink is the document itself
+        const location = citation.channelId ? `#${citation.channelName || citation.channelId}` : citation.title || citation.sourceType;
+        const origin = citation.sourceUrl && citation.channelId ? ` · <${citation.sourceUrl}|${citation.sourceType}>` : '';
+        return {
+            type: "mrkdwn",
+            text: `[${citation.index}] <${citation.permalink}|${location}> · ${citation.userName || 'Unknown'} · ${formatAge(citation.createdAt)}${origin}`
+        };
+    });
+    return [
+        { type: "divider" },
+        { type: "context", elements: [{ type: "mrkdwn", text: "*Sources*" }] },
+        { type: "context", elements }
+    ];
+}
+
+module.exports = {
+    validateCitations,
+    formatSourceBlocks
+};
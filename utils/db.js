@@ -1,8 +1,6 @@
 const { Pool } = require('pg');
-const { OpenAI } = require('openai');
-
-// Initialize OpenAI client
-const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+const { getEmbeddingProvider } = require('./embeddings');
+const { chunkSegments, truncateToTokens } = require('./chunker');
 
 // Initialize PostgreSQL pool
 const pool = new Pool({
@@ -37,12 +35,36 @@ async function createMessagesTable() {
                 user_title TEXT,
                 chunk_index INTEGER,
                 metadata JSONB,
-                embedding vector(1536),
+                embedding vector(${getEmbeddingProvider().dimension}),
                 created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
             );
 
+            -- Rows written before embedding_model existed were all produced by ada-002
+            ALTER TABLE messages ADD COLUMN IF NOT EXISTS embedding_model TEXT DEFAULT 'openai:text-embedding-ada-002';
+            ALTER TABLE messages ALTER COLUMN embedding_model DROP DEFAULT;
+
             CREATE INDEX IF NOT EXISTS messages_embedding_idx ON messages USING ivfflat (embedding vector_cosine_ops);
             CREATE INDEX IF NOT EXISTS messages_channel_thread_idx ON messages(channel_name, thread_ts);
+            CREATE INDEX IF NOT EXISTS messages_embedding_model_idx ON messages(embedding_model);
+
+            ALTER TABLE messages ADD COLUMN IF NOT EXISTS content_tsv tsvector
+                GENERATED ALWAYS AS (to_tsvector('english', content)) STORED;
+            CREATE INDEX IF NOT EXISTS messages_content_tsv_idx ON messages USING GIN (content_tsv);
+        `);
+
+        await addProvenanceColumns();
+
+        await pool.query(`
+            ALTER TABLE messages ALTER COLUMN channel_name DROP NOT NULL;
+            CREATE INDEX IF NOT EXISTS messages_channel_id_thread_idx ON messages(channel_id, thread_ts);
+
+            CREATE TABLE IF NOT EXISTS slack_permalinks (
+                channel_id TEXT NOT NULL,
+                message_ts TEXT NOT NULL,
+                permalink TEXT NOT NULL,
+                created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (channel_id, message_ts)
+            );
         `);
         console.log('Messages table created with indexes');
     } catch (error) {
@@ -51,86 +73,305 @@ async function createMessagesTable() {
     }
 }
 
-// Helper function to estimate tokens more accurately
-function estimateTokens(text) {
-    // OpenAI's tokenizer roughly uses 4 characters per token for English text
-    return Math.ceil(text.length / 4);
+// Provenance columns, channel_name used to hold the channel ID before these existed. They are
+// added and backfilled together the first time only, the backfill scans the whole table
+async function addProvenanceColumns() {
+    const existing = await pool.query(`
+        SELECT 1
+        FROM pg_attribute
+        WHERE attrelid = 'messages'::regclass AND attname = 'channel_id' AND NOT attisdropped;
+    `);
+    if (existing.rows.length > 0) {
+        return;
+    }
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        await client.query(`
+            ALTER TABLE messages ADD COLUMN IF NOT EXISTS channel_id TEXT;
+            ALTER TABLE messages ADD COLUMN IF NOT EXISTS message_ts TEXT;
+            ALTER TABLE messages ADD COLUMN IF NOT EXISTS source_type TEXT;
+            ALTER TABLE messages ADD COLUMN IF NOT EXISTS source_url TEXT;
+
+            UPDATE messages SET channel_id = channel_name WHERE channel_id IS NULL;
+            UPDATE messages SET message_ts = COALESCE(metadata->>'ts', thread_ts) WHERE message_ts IS NULL;
+            UPDATE messages SET source_type = COALESCE(metadata->>'segment_type', 'message') WHERE source_type IS NULL;
+            UPDATE messages SET source_url = metadata->>'url' WHERE source_url IS NULL AND metadata ? 'url';
+        `);
+        await client.query('COMMIT');
+        console.log('Added provenance columns to messages');
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
 }
 
-// Generate embedding using OpenAI
-async function generateEmbedding(text) {
+// Refuse to start when the configured provider does not match the stored vector dimension
+async function verifyEmbeddingDimension() {
+    const provider = getEmbeddingProvider();
+    const result = await pool.query(`
+        SELECT atttypmod AS dimension
+        FROM pg_attribute
+        WHERE attrelid = 'messages'::regclass AND attname = 'embedding';
+    `);
+    const storedDimension = result.rows[0]?.dimension;
+    if (storedDimension && storedDimension !== provider.dimension) {
+        const error = new Error(
+            `Embedding provider ${provider.id} produces ${provider.dimension}-dimensional vectors ` +
+            `but messages.embedding is vector(${storedDimension}). Re-embed the table or configure a matching provider.`
+        );
+        error.code = 'EMBEDDING_DIMENSION_MISMATCH';
+        throw error;
+    }
+    console.log(`Embedding provider ${provider.id} (${provider.dimension} dimensions)`);
+}
+
+// Minutes between checks of the stored embedding provider while the app runs
+const EMBEDDING_PROVIDER_CHECK_MINUTES = parseFloat(process.env.EMBEDDING_PROVIDER_CHECK_MINUTES || '1');
+
+// The provider the stored vectors were made with, bin/reembed changes it when it swaps columns
+async function createEmbeddingSettingsTable() {
     try {
-        const maxTokens = 8192; // Maximum tokens for text-embedding-ada-002
-        const estimatedTokens = estimateTokens(text);
-        
-        if (estimatedTokens > maxTokens) {
-            // If text is too long, truncate it to fit within token limit
-            const words = text.split(/\s+/);
-            let truncatedText = '';
-            let currentTokens = 0;
-            
-            for (const word of words) {
-                const wordTokens = estimateTokens(word);
-                if (currentTokens + wordTokens > maxTokens) {
-                    break;
-                }
-                truncatedText += word + ' ';
-                currentTokens += wordTokens;
-            }
-            
-            text = truncatedText.trim();
-        }
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS embedding_settings (
+                id BOOLEAN PRIMARY KEY DEFAULT TRUE CHECK (id),
+                provider_id TEXT NOT NULL,
+                updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+            );
+        `);
+        console.log('Embedding settings table created');
+    } catch (error) {
+        console.error('Error creating embedding settings table:', error);
+        throw error;
+    }
+}
 
-        const response = await openai.embeddings.create({
-            model: "text-embedding-ada-002",
-            input: text,
-            encoding_format: "float"
+// Refuse to run with a provider other than the one the stored vectors were made with.
+// The first start records the model of the stored rows, or the configured provider when
+// there are none yet. Models sharing a dimension would otherwise silently find nothing
+async function verifyEmbeddingProvider() {
+    const provider = getEmbeddingProvider();
+    let result = await pool.query('SELECT provider_id FROM embedding_settings WHERE id');
+    if (result.rows.length === 0) {
+        const stored = await pool.query('SELECT embedding_model FROM messages WHERE embedding IS NOT NULL LIMIT 1');
+        await pool.query(
+            'INSERT INTO embedding_settings (id, provider_id) VALUES (TRUE, $1) ON CONFLICT (id) DO NOTHING',
+            [stored.rows[0]?.embedding_model || provider.id]
+        );
+        result = await pool.query('SELECT provider_id FROM embedding_settings WHERE id');
+    }
+    const storedProvider = result.rows[0].provider_id;
+    if (storedProvider !== provider.id) {
+        const error = new Error(
+            `Stored vectors were made with ${storedProvider} but the configured embedding provider is ${provider.id}. ` +
+            'Set EMBEDDING_PROVIDER and EMBEDDING_MODEL to match, or run bin/reembed to re-embed them with the new model.'
+        );
+        error.code = 'EMBEDDING_PROVIDER_MISMATCH';
+        throw error;
+    }
+}
+
+// Call onMismatch with the error once bin/reembed switches the stored vectors to another provider,
+// the app has to restart with the new settings or it would keep writing vectors of the old model
+function watchEmbeddingProvider(onMismatch) {
+    const timer = setInterval(() => {
+        verifyEmbeddingProvider().catch(error => {
+            if (error.code !== 'EMBEDDING_PROVIDER_MISMATCH') {
+                console.error('Error checking the embedding provider:', error);
+                return;
+            }
+            clearInterval(timer);
+            onMismatch(error);
         });
-        return response.data[0].embedding;
+    }, EMBEDDING_PROVIDER_CHECK_MINUTES * 60 * 1000);
+    timer.unref();
+}
+
+// Create table of processed Slack event IDs used to drop retried deliveries
+async function createProcessedEventsTable() {
+    try {
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS processed_events (
+                event_id TEXT PRIMARY KEY,
+                event_type TEXT,
+                payload JSONB,
+                processed_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+                expires_at TIMESTAMP WITH TIME ZONE NOT NULL
+            );
+
+            CREATE INDEX IF NOT EXISTS processed_events_expires_idx ON processed_events(expires_at);
+        `);
+        console.log('Processed events table created with indexes');
     } catch (error) {
-        console.error('Error generating embedding:', error);
+        console.error('Error creating processed events table:', error);
         throw error;
     }
 }
 
-// Function to split text into chunks
-function splitIntoChunks(text, maxTokens) {
-    // Handle null or undefined text
-    if (!text) {
-        console.warn('Received null or undefined text in splitIntoChunks');
-        return [];  // Return empty array instead of trying to split null
+// Create background job queue table and backfill checkpoints
+async function createJobsTables() {
+    try {
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS jobs (
+                id SERIAL PRIMARY KEY,
+                type TEXT NOT NULL,
+                payload JSONB NOT NULL DEFAULT '{}',
+                status TEXT NOT NULL DEFAULT 'pending',
+                attempts INTEGER NOT NULL DEFAULT 0,
+                max_attempts INTEGER NOT NULL DEFAULT 5,
+                dedupe_key TEXT,
+                run_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+                locked_at TIMESTAMP WITH TIME ZONE,
+                last_error TEXT,
+                created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+            );
+
+            ALTER TABLE jobs ADD COLUMN IF NOT EXISTS priority INTEGER NOT NULL DEFAULT 0;
+
+            CREATE INDEX IF NOT EXISTS jobs_status_run_at_idx ON jobs(status, run_at);
+            CREATE INDEX IF NOT EXISTS jobs_status_priority_idx ON jobs(status, priority DESC, run_at);
+            CREATE UNIQUE INDEX IF NOT EXISTS jobs_active_dedupe_idx ON jobs(dedupe_key) WHERE status IN ('pending', 'running');
+
+            CREATE TABLE IF NOT EXISTS backfill_checkpoints (
+                channel_id TEXT PRIMARY KEY,
+                cursor TEXT,
+                processed_count INTEGER NOT NULL DEFAULT 0,
+                status TEXT NOT NULL DEFAULT 'running',
+                updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+            );
+        `);
+        console.log('Jobs tables created with indexes');
+    } catch (error) {
+        console.error('Error creating jobs tables:', error);
+        throw error;
     }
+}
 
-    // Split text into sentences
-    const sentences = text.split(/[.!?]+/);
-    const chunks = [];
-    let currentChunk = '';
-    
-    for (const sentence of sentences) {
-        if (estimateTokens(currentChunk + sentence) > maxTokens) {
-            chunks.push(currentChunk.trim());
-            currentChunk = sentence;
-        } else {
-            currentChunk += sentence + '. ';
-        }
+// Create tables logging answered questions and links that could not be processed
+async function createActivityTables() {
+    try {
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS answers (
+                id SERIAL PRIMARY KEY,
+                channel_id TEXT,
+                thread_ts TEXT,
+                user_id TEXT,
+                question TEXT NOT NULL,
+                answer TEXT,
+                error TEXT,
+                created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+            );
+
+            CREATE INDEX IF NOT EXISTS answers_created_at_idx ON answers(created_at DESC);
+
+            -- Sources the answer cited, an empty list flags an answer that cited nothing
+            ALTER TABLE answers ADD COLUMN IF NOT EXISTS citations JSONB;
+            -- Every chunk retrieved for the answer, cited or not
+            ALTER TABLE answers ADD COLUMN IF NOT EXISTS chunk_ids INTEGER[];
+
+            CREATE TABLE IF NOT EXISTS link_failures (
+                id SERIAL PRIMARY KEY,
+                url TEXT NOT NULL,
+                error_type TEXT NOT NULL,
+                error TEXT,
+                created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+            );
+
+            CREATE INDEX IF NOT EXISTS link_failures_created_at_idx ON link_failures(created_at DESC);
+        `);
+        console.log('Activity tables created with indexes');
+    } catch (error) {
+        console.error('Error creating activity tables:', error);
+        throw error;
+    }
+}
+
+// Create the table of votes and wrong source reports on answers
+async function createFeedbackTables() {
+    try {
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS answer_feedback (
+                id SERIAL PRIMARY KEY,
+                answer_id INTEGER NOT NULL REFERENCES answers(id) ON DELETE CASCADE,
+                user_id TEXT NOT NULL,
+                rating TEXT NOT NULL,
+                chunk_ids INTEGER[] NOT NULL DEFAULT '{}',
+                created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+            );
+
+            -- One vote per user per answer, and one report per user per wrong source
+            CREATE UNIQUE INDEX IF NOT EXISTS answer_feedback_vote_idx ON answer_feedback(answer_id, user_id)
+                WHERE rating IN ('helpful', 'unhelpful');
+            CREATE UNIQUE INDEX IF NOT EXISTS answer_feedback_wrong_source_idx ON answer_feedback(answer_id, user_id, chunk_ids)
+                WHERE rating = 'wrong_source';
+            CREATE INDEX IF NOT EXISTS answer_feedback_chunk_ids_idx ON answer_feedback USING GIN (chunk_ids);
+        `);
+        console.log('Feedback tables created with indexes');
+    } catch (error) {
+        console.error('Error creating feedback tables:', error);
+        throw error;
+    }
+}
+
+// Create the cached Slack channel membership used to scope retrieval
+async function createPermissionTables() {
+    try {
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS slack_channels (
+                channel_id TEXT PRIMARY KEY,
+                is_private BOOLEAN NOT NULL,
+                is_ext_shared BOOLEAN NOT NULL DEFAULT FALSE,
+                synced_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+            );
+
+            CREATE TABLE IF NOT EXISTS channel_members (
+                channel_id TEXT NOT NULL REFERENCES slack_channels(channel_id) ON DELETE CASCADE,
+                user_id TEXT NOT NULL,
+                PRIMARY KEY (channel_id, user_id)
+            );
+
+            CREATE INDEX IF NOT EXISTS channel_members_user_idx ON channel_members(user_id);
+        `);
+        console.log('Permission tables created with indexes');
+    } catch (error) {
+        console.error('Error creating permission tables:', error);
+        throw error;
+    }
+}
+
+// Generate embedding using the configured provider
+async function generateEmbedding(text) {
+    try {
+        const provider = getEmbeddingProvider();
+        // Truncate text that does not fit the model's input
+        return await provider.embed(truncateToTokens(text, provider.maxTokens));
+    } catch (error) {
+        console.error('Error generating embedding:', error);
+        throw error;
     }
-    if (currentChunk) chunks.push(currentChunk.trim());
-    return chunks;
 }
 
 // Store message with embedding and chunking
-async function storeMessage(channelName, threadTs, content, userName = null, userTitle = null, chunkIndex = 0, metadata = {}, messageTs = null) {
+async function storeMessage({
+    channelId, channelName = null, threadTs, messageTs = null, sourceType = 'message', sourceUrl = null,
+    content, userName = null, userTitle = null, chunkIndex = 0, metadata = {}, createdAt = null
+}) {
     try {
         const embedding = await generateEmbedding(content);
         const embeddingArray = `[${embedding.join(',')}]`;
         
         // Convert Slack timestamp to PostgreSQL timestamp
-        const messageDate = messageTs ? new Date(parseFloat(messageTs) * 1000) : new Date();
+        const messageDate = createdAt || (messageTs ? new Date(parseFloat(messageTs) * 1000) : new Date());
         
-        // Check if a message with this thread_ts and chunk_index already exists
+        // Check if a message with this thread_ts and chunk_index already exists.
+        // Synced documents have no channel, IS NOT DISTINCT FROM matches their NULL channel_id
         const existingMessage = await pool.query(
-            'SELECT id FROM messages WHERE channel_name = $1 AND thread_ts = $2 AND chunk_index = $3',
-            [channelName, threadTs, chunkIndex]
+            'SELECT id FROM messages WHERE channel_id IS NOT DISTINCT FROM $1 AND thread_ts = $2 AND chunk_index = $3',
+            [channelId, threadTs, chunkIndex]
         );
 
         if (existingMessage.rows.length > 0) {
@@ -138,13 +379,15 @@ async function storeMessage(channelName, threadTs, content, userName = null, use
             const query = `
                 UPDATE messages 
                 SET content = $4, user_name = $5, user_title = $6, embedding = $7::vector, 
-                    metadata = $8, created_at = $9
-                WHERE channel_name = $1 AND thread_ts = $2 AND chunk_index = $3
+                    metadata = $8, created_at = $9, embedding_model = $10, channel_name = $11,
+                    message_ts = $12, source_type = $13, source_url = $14
+                WHERE channel_id IS NOT DISTINCT FROM $1 AND thread_ts = $2 AND chunk_index = $3
                 RETURNING id;
             `;
             const result = await pool.query(query, [
-                channelName, threadTs, chunkIndex, content, userName, userTitle, 
-                embeddingArray, metadata, messageDate
+                channelId, threadTs, chunkIndex, content, userName, userTitle, 
+                embeddingArray, metadata, messageDate, getEmbeddingProvider().id, channelName,
+                messageTs, sourceType, sourceUrl
             ]);
             console.log('Message updated with ID:', result.rows[0].id);
             return result.rows[0].id;
@@ -152,13 +395,15 @@ async function storeMessage(channelName, threadTs, content, userName = null, use
             // Insert new message
             const query = `
                 INSERT INTO messages (channel_name, thread_ts, content, user_name, user_title, 
-                                    chunk_index, metadata, embedding, created_at)
-                VALUES ($1, $2, $3, $4, $5, $6, $7, $8::vector, $9)
+                                    chunk_index, metadata, embedding, created_at, embedding_model,
+                                    channel_id, message_ts, source_type, source_url)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8::vector, $9, $10, $11, $12, $13, $14)
                 RETURNING id;
             `;
             const result = await pool.query(query, [
                 channelName, threadTs, content, userName, userTitle, 
-                chunkIndex, metadata, embeddingArray, messageDate
+                chunkIndex, metadata, embeddingArray, messageDate, getEmbeddingProvider().id,
+                channelId, messageTs, sourceType, sourceUrl
             ]);
             console.log('Message stored with ID:', result.rows[0].id);
             return result.rows[0].id;
@@ -169,37 +414,103 @@ async function storeMessage(channelName, threadTs, content, userName = null, use
     }
 }
 
-// Function to chunk and store message
-async function chunkAndStoreMessage(channelName, threadTs, content, userName, userTitle, messageTs = null) {
-    // Split content into smaller chunks (e.g., 1000 tokens each)
-    const chunks = splitIntoChunks(content, 1000);
+// Function to chunk and store message. Content is either plain text or a list of
+// segments from processMessageContent, chunks never span two segments.
+// Each chunk is attributed to the message its segment came from and to its author,
+// userName and userTitle are used for segments without one
+async function chunkAndStoreMessage({ channelId, channelName = null, threadTs, messageTs = null, userName, userTitle }, content) {
+    const segments = typeof content === 'string' ? [{ type: 'message', text: content }] : content;
+    const chunks = chunkSegments(segments, {
+        maxTokens: parseInt(process.env.CHUNK_MAX_TOKENS || '500', 10),
+        overlapTokens: parseInt(process.env.CHUNK_OVERLAP_TOKENS || '50', 10)
+    });
     
     // Store each chunk with metadata
-    for (const chunk of chunks) {
-        await storeMessage(
+    for (let index = 0; index < chunks.length; index++) {
+        const { text, metadata } = chunks[index];
+        await storeMessage({
+            channelId,
             channelName,
             threadTs,
-            chunk,
+            messageTs: metadata.ts || messageTs,
+            sourceType: metadata.segment_type,
+            sourceUrl: metadata.url || null,
+            content: text,
+            userName: metadata.user_name || userName,
+            userTitle: metadata.user_title || userTitle,
+            chunkIndex: index,
+            metadata: { ...metadata, total_chunks: chunks.length }
+        });
+    }
+
+    // Edited content can produce fewer chunks than before, drop the ones past the new end
+    const stale = await pool.query(
+        'DELETE FROM messages WHERE channel_id = $1 AND thread_ts = $2 AND chunk_index >= $3',
+        [channelId, threadTs, chunks.length]
+    );
+    if (stale.rowCount > 0) {
+        console.log(`Removed ${stale.rowCount} stale chunks from thread ${threadTs} in channel: ${channelId}`);
+    }
+}
+
+// Store a document synced from outside Slack, such as a Notion page, replacing its previous chunks.
+// Documents belong to no channel and are stored under their sourceId in place of a thread
+async function chunkAndStoreDocument({ sourceId, sourceType, title, url, userName = null, editedAt }, content) {
+    const chunks = chunkSegments([{ type: sourceType, text: content, url, title }], {
+        maxTokens: parseInt(process.env.CHUNK_MAX_TOKENS || '500', 10),
+        overlapTokens: parseInt(process.env.CHUNK_OVERLAP_TOKENS || '50', 10)
+    });
+
+    for (let index = 0; index < chunks.length; index++) {
+        const { text, metadata } = chunks[index];
+        await storeMessage({
+            channelId: null,
+            threadTs: sourceId,
+            sourceType,
+            sourceUrl: url,
+            content: text,
             userName,
-            userTitle,
-            chunks.indexOf(chunk),
-            { total_chunks: chunks.length },
-            messageTs
+            chunkIndex: index,
+            metadata: { ...metadata, total_chunks: chunks.length },
+            createdAt: editedAt
+        });
+    }
+
+    const stale = await pool.query(
+        'DELETE FROM messages WHERE channel_id IS NULL AND thread_ts = $1 AND chunk_index >= $2',
+        [sourceId, chunks.length]
+    );
+    if (stale.rowCount > 0) {
+        console.log(`Removed ${stale.rowCount} stale chunks from document: ${sourceId}`);
+    }
+}
+
+// Delete all chunks of a synced document
+async function deleteDocumentMessages(sourceId) {
+    try {
+        const result = await pool.query(
+            'DELETE FROM messages WHERE channel_id IS NULL AND thread_ts = $1 RETURNING id',
+            [sourceId]
         );
+        console.log(`Deleted ${result.rowCount} messages from document: ${sourceId}`);
+        return result.rowCount;
+    } catch (error) {
+        console.error('Error deleting document messages:', error);
+        throw error;
     }
 }
 
 // Delete all messages for a channel
-async function deleteChannelMessages(channelName) {
+async function deleteChannelMessages(channelId) {
     try {
         const query = `
             DELETE FROM messages 
-            WHERE channel_name = $1
+            WHERE channel_id = $1
             RETURNING id;
         `;
         
-        const result = await pool.query(query, [channelName]);
-        console.log(`Deleted ${result.rowCount} messages from channel: ${channelName}`);
+        const result = await pool.query(query, [channelId]);
+        console.log(`Deleted ${result.rowCount} messages from channel: ${channelId}`);
         return result.rowCount;
     } catch (error) {
         console.error('Error deleting channel messages:', error);
@@ -207,45 +518,220 @@ async function deleteChannelMessages(channelName) {
     }
 }
 
-// Improved search function with filters
-async function searchSimilarMessages(queryText, limit = 15, minSimilarity = 0.7, filters = {}) {
+// Delete all chunks of a single thread
+async function deleteThreadMessages(channelId, threadTs) {
+    try {
+        const result = await pool.query(
+            'DELETE FROM messages WHERE channel_id = $1 AND thread_ts = $2 RETURNING id',
+            [channelId, threadTs]
+        );
+        console.log(`Deleted ${result.rowCount} messages from thread ${threadTs} in channel: ${channelId}`);
+        return result.rowCount;
+    } catch (error) {
+        console.error('Error deleting thread messages:', error);
+        throw error;
+    }
+}
+
+// Delete the chunks made from a Slack file, wherever it was shared
+async function deleteFileMessages(fileId) {
+    try {
+        const result = await pool.query(
+            "DELETE FROM messages WHERE metadata->>'file_id' = $1 RETURNING id",
+            [fileId]
+        );
+        await pool.query('DELETE FROM slack_file_cache WHERE file_id = $1', [fileId]);
+        console.log(`Deleted ${result.rowCount} messages made from file: ${fileId}`);
+        return result.rowCount;
+    } catch (error) {
+        console.error('Error deleting file messages:', error);
+        throw error;
+    }
+}
+
+// List channels in the knowledge base with their chunk counts
+async function listChannels() {
+    try {
+        const result = await pool.query(`
+            SELECT channel_id,
+                   MAX(channel_name) AS channel_name,
+                   COUNT(*)::int AS chunk_count,
+                   COUNT(DISTINCT thread_ts)::int AS thread_count,
+                   MAX(created_at) AS last_message_at
+            FROM messages
+            WHERE channel_id IS NOT NULL
+            GROUP BY channel_id
+            ORDER BY chunk_count DESC;
+        `);
+        return result.rows;
+    } catch (error) {
+        console.error('Error listing channels:', error);
+        throw error;
+    }
+}
+
+// Names of the people whose messages are in the knowledge base
+async function listUserNames() {
+    try {
+        const result = await pool.query(
+            'SELECT DISTINCT user_name FROM messages WHERE user_name IS NOT NULL ORDER BY user_name'
+        );
+        return result.rows.map(row => row.user_name);
+    } catch (error) {
+        console.error('Error listing user names:', error);
+        throw error;
+    }
+}
+
+// Browse stored chunks, optionally filtered by channel, thread and a full-text query
+async function listChunks({ channel, threadTs, query, limit = 50, offset = 0 } = {}) {
     try {
-        const { channel, user, minDate, maxDate } = filters;
         let whereClause = 'WHERE 1=1';
         const params = [];
-        
+
         if (channel) {
-            whereClause += ' AND channel_name = $' + (params.length + 1);
+            whereClause += ' AND channel_id = $' + (params.length + 1);
             params.push(channel);
         }
-        if (user) {
-            whereClause += ' AND user_name = $' + (params.length + 1);
-            params.push(user);
+        if (threadTs) {
+            whereClause += ' AND thread_ts = $' + (params.length + 1);
+            params.push(threadTs);
         }
-        if (minDate) {
-            whereClause += ' AND created_at >= $' + (params.length + 1);
-            params.push(minDate);
+        if (query) {
+            whereClause += ` AND content_tsv @@ websearch_to_tsquery('english', $${params.length + 1})`;
+            params.push(query);
         }
-        if (maxDate) {
-            whereClause += ' AND created_at <= $' + (params.length + 1);
-            params.push(maxDate);
+        params.push(limit, offset);
+
+        const result = await pool.query(`
+            SELECT id, channel_id, channel_name, thread_ts, message_ts, chunk_index, source_type, source_url,
+                   content, user_name, user_title, metadata, created_at
+            FROM messages
+            ${whereClause}
+            ORDER BY created_at DESC, thread_ts, chunk_index
+            LIMIT $${params.length - 1} OFFSET $${params.length};
+        `, params);
+        return result.rows;
+    } catch (error) {
+        console.error('Error listing chunks:', error);
+        throw error;
+    }
+}
+
+// Regenerate the embeddings of every chunk in a thread
+async function reembedThread(channelId, threadTs) {
+    try {
+        const result = await pool.query(
+            'SELECT id, content FROM messages WHERE channel_id = $1 AND thread_ts = $2 ORDER BY chunk_index',
+            [channelId, threadTs]
+        );
+        for (const row of result.rows) {
+            const embedding = await generateEmbedding(row.content);
+            await pool.query(
+                'UPDATE messages SET embedding = $2::vector, embedding_model = $3 WHERE id = $1',
+                [row.id, `[${embedding.join(',')}]`, getEmbeddingProvider().id]
+            );
         }
+        console.log(`Re-embedded ${result.rows.length} chunks of thread ${threadTs} in channel: ${channelId}`);
+        return result.rows.length;
+    } catch (error) {
+        console.error('Error re-embedding thread:', error);
+        throw error;
+    }
+}
+
+// Record a Slack event as processed, returns false if it was already seen and has not expired
+async function claimEvent(eventId, eventType, payload) {
+    try {
+        const ttlHours = parseInt(process.env.SLACK_EVENT_TTL_HOURS || '24', 10);
+        await pool.query('DELETE FROM processed_events WHERE expires_at < NOW()');
+        const result = await pool.query(`
+            INSERT INTO processed_events (event_id, event_type, payload, expires_at)
+            VALUES ($1, $2, $3, NOW() + make_interval(hours => $4))
+            ON CONFLICT (event_id) DO NOTHING
+            RETURNING event_id;
+        `, [eventId, eventType, payload, ttlHours]);
+        return result.rowCount > 0;
+    } catch (error) {
+        console.error('Error claiming event:', error);
+        throw error;
+    }
+}
+
+// Get a processed event with its original payload
+async function getProcessedEvent(eventId) {
+    try {
+        const result = await pool.query('SELECT * FROM processed_events WHERE event_id = $1', [eventId]);
+        return result.rows[0] || null;
+    } catch (error) {
+        console.error('Error getting processed event:', error);
+        throw error;
+    }
+}
+
+// Build the WHERE clause shared by the search functions, appending values to params
+function buildSearchFilters(filters, params) {
+    const { channel, channelIds, includeDocuments = false, user, minDate, maxDate } = filters;
+    let whereClause = 'WHERE 1=1';
+
+    if (channel) {
+        whereClause += ' AND channel_id = $' + (params.length + 1);
+        params.push(channel);
+    }
+    // Channels the asker is allowed to see, an empty list matches nothing. Synced documents
+    // have no channel and are only included when includeDocuments says the audience may read them
+    if (channelIds) {
+        whereClause += includeDocuments
+            ? ' AND (channel_id IS NULL OR channel_id = ANY($' + (params.length + 1) + '))'
+            : ' AND channel_id = ANY($' + (params.length + 1) + ')';
+        params.push(channelIds);
+    }
+    if (user) {
+        whereClause += ' AND user_name = $' + (params.length + 1);
+        params.push(user);
+    }
+    if (minDate) {
+        whereClause += ' AND created_at >= $' + (params.length + 1);
+        params.push(minDate);
+    }
+    if (maxDate) {
+        whereClause += ' AND created_at <= $' + (params.length + 1);
+        params.push(maxDate);
+    }
+    return whereClause;
+}
+
+// Improved search function with filters
+async function searchSimilarMessages(queryText, limit = 15, minSimilarity = 0.7, filters = {}) {
+    try {
+        const params = [];
+        let whereClause = buildSearchFilters(filters, params);
         
+        // Only compare against vectors produced by the same model
+        whereClause += ' AND embedding_model = $' + (params.length + 1);
+        params.push(getEmbeddingProvider().id);
+
         const embedding = await generateEmbedding(queryText);
         params.push(`[${embedding.join(',')}]`, limit);
         
         const sqlQuery = `
             WITH ranked_messages AS (
                 SELECT 
+                    id,
+                    channel_id,
                     channel_name,
                     thread_ts,
+                    message_ts,
+                    source_type,
+                    source_url,
                     content,
                     user_name,
                     user_title,
                     chunk_index,
                     metadata,
+                    created_at,
                     1 - (embedding <=> $${params.length - 1}::vector) as similarity,
-                    ROW_NUMBER() OVER (PARTITION BY thread_ts ORDER BY 1 - (embedding <=> $${params.length - 1}::vector) DESC) as rank
+                    ROW_NUMBER() OVER (PARTITION BY channel_id, thread_ts ORDER BY 1 - (embedding <=> $${params.length - 1}::vector) DESC) as rank
                 FROM messages
                 ${whereClause}
                 AND 1 - (embedding <=> $${params.length - 1}::vector) > ${minSimilarity}
@@ -264,46 +750,175 @@ async function searchSimilarMessages(queryText, limit = 15, minSimilarity = 0.7,
     }
 }
 
-// Function to get relevant context
-async function getRelevantContext(query, maxTokens = 4000) {
-    const similarMessages = await searchSimilarMessages(query, 10, 0.7);
-    let context = '';
-    let currentTokens = 0;
-    
-    // Sort messages by recency
-    similarMessages.sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
-    
-    for (const message of similarMessages) {
-        let messageContent = message.content;
-        
-        // Calculate days since the message was created
-        const messageDate = new Date(message.created_at);
-        const now = new Date();
-        const daysSince = Math.floor((now - messageDate) / (1000 * 60 * 60 * 24));
-        
-        // Construct Slack message link
-        const messageLink = `${process.env.SLACK_BASE_URI}/${message.channel_name}/p${message.thread_ts.replace('.', '')}`;
-        
-        // Check for Notion links in the content
-        const notionLinks = messageContent.match(/https:\/\/[^/\s]+\.notion\.so\/[^\s]+/g) || [];
-        for (const link of notionLinks) {
-            try {
-                const { content, summary } = await processLink(link);
-                // Replace the link with its summary
-                messageContent = messageContent.replace(link, `[${link}]\nSummary: ${summary}`);
-            } catch (error) {
-                console.error('Error processing Notion link in context:', error);
-            }
-        }
-        
-        const messageTokens = estimateTokens(messageContent);
-        if (currentTokens + messageTokens > maxTokens) break;
-        
-        context += `Message from ${message.user_name} (${message.user_title}) ${daysSince} days ago: ${messageContent}\nLink: ${messageLink}\n\n`;
-        currentTokens += messageTokens;
+// Weights for hybrid search, read from the environment unless passed explicitly
+function getHybridSearchOptions(overrides = {}) {
+    return {
+        vectorWeight: parseFloat(process.env.HYBRID_VECTOR_WEIGHT || '1'),
+        keywordWeight: parseFloat(process.env.HYBRID_KEYWORD_WEIGHT || '1'),
+        rrfK: parseInt(process.env.HYBRID_RRF_K || '60', 10),
+        candidates: parseInt(process.env.HYBRID_CANDIDATES || '50', 10),
+        minSimilarity: parseFloat(process.env.HYBRID_MIN_SIMILARITY || '0.5'),
+        // Chunks reported as a wrong source by this many users have their score multiplied by the penalty
+        wrongSourceThreshold: parseInt(process.env.FEEDBACK_WRONG_SOURCE_THRESHOLD || '2', 10),
+        wrongSourcePenalty: parseFloat(process.env.FEEDBACK_WRONG_SOURCE_PENALTY || '0.5'),
+        ...overrides
+    };
+}
+
+// Hybrid search fusing vector similarity and full-text rank with reciprocal rank fusion
+async function hybridSearchMessages(queryText, limit = 15, filters = {}, overrides = {}) {
+    try {
+        const {
+            vectorWeight, keywordWeight, rrfK, candidates, minSimilarity, wrongSourceThreshold, wrongSourcePenalty
+        } = getHybridSearchOptions(overrides);
+        const params = [];
+        const whereClause = buildSearchFilters(filters, params);
+
+        const embedding = await generateEmbedding(queryText);
+        const firstParam = params.length + 1;
+        params.push(
+            `[${embedding.join(',')}]`, queryText, candidates, minSimilarity, vectorWeight, keywordWeight, rrfK, limit,
+            getEmbeddingProvider().id, wrongSourceThreshold, wrongSourcePenalty
+        );
+        const [
+            vectorParam, textParam, candidatesParam, minSimilarityParam, vectorWeightParam, keywordWeightParam, rrfKParam, limitParam,
+            modelParam, wrongSourceThresholdParam, wrongSourcePenaltyParam
+        ] = Array.from({ length: 11 }, (value, index) => `$${firstParam + index}`);
+
+        // Query terms are OR-ed so a chunk matching only an identifier in the question still ranks
+        const sqlQuery = `
+            WITH keyword_query AS (
+                SELECT NULLIF(replace(plainto_tsquery('english', ${textParam})::text, '&', '|'), '')::tsquery AS query
+            ),
+            vector_ranked AS (
+                SELECT id,
+                       1 - (embedding <=> ${vectorParam}::vector) AS similarity,
+                       ROW_NUMBER() OVER (ORDER BY embedding <=> ${vectorParam}::vector) AS vector_rank
+                FROM messages
+                ${whereClause}
+                AND embedding_model = ${modelParam}
+                AND 1 - (embedding <=> ${vectorParam}::vector) > ${minSimilarityParam}
+                ORDER BY embedding <=> ${vectorParam}::vector
+                LIMIT ${candidatesParam}
+            ),
+            keyword_ranked AS (
+                SELECT id,
+                       ts_rank_cd(content_tsv, keyword_query.query, 32) AS keyword_score,
+                       ROW_NUMBER() OVER (ORDER BY ts_rank_cd(content_tsv, keyword_query.query, 32) DESC) AS keyword_rank
+                FROM messages, keyword_query
+                ${whereClause}
+                AND keyword_query.query IS NOT NULL
+                AND content_tsv @@ keyword_query.query
+                ORDER BY keyword_score DESC
+                LIMIT ${candidatesParam}
+            ),
+            fused AS (
+                SELECT COALESCE(v.id, k.id) AS id,
+                       v.similarity,
+                       k.keyword_score,
+                       COALESCE(${vectorWeightParam}::float / (${rrfKParam} + v.vector_rank), 0)
+                         + COALESCE(${keywordWeightParam}::float / (${rrfKParam} + k.keyword_rank), 0) AS score
+                FROM vector_ranked v
+                FULL OUTER JOIN keyword_ranked k ON v.id = k.id
+            ),
+            wrong_sources AS (
+                SELECT chunk_id, COUNT(DISTINCT user_id) AS reports
+                FROM answer_feedback, unnest(chunk_ids) AS chunk_id
+                WHERE rating = 'wrong_source' AND chunk_id IN (SELECT id FROM fused)
+                GROUP BY chunk_id
+            ),
+            penalized AS (
+                SELECT f.id, f.similarity, f.keyword_score,
+                       f.score * CASE WHEN w.reports >= ${wrongSourceThresholdParam} THEN ${wrongSourcePenaltyParam}::float ELSE 1 END AS score
+                FROM fused f
+                LEFT JOIN wrong_sources w ON w.chunk_id = f.id
+            ),
+            ranked_messages AS (
+                SELECT m.id, m.channel_id, m.channel_name, m.thread_ts, m.message_ts, m.source_type, m.source_url,
+                       m.content, m.user_name, m.user_title, m.chunk_index, m.metadata, m.created_at,
+                       f.similarity, f.keyword_score, f.score,
+                       ROW_NUMBER() OVER (PARTITION BY m.channel_id, m.thread_ts ORDER BY f.score DESC) AS rank
+                FROM penalized f
+                JOIN messages m ON m.id = f.id
+            )
+            SELECT * FROM ranked_messages
+            WHERE rank = 1
+            ORDER BY score DESC
+            LIMIT ${limitParam};
+        `;
+
+        const result = await pool.query(sqlQuery, params);
+        return result.rows;
+    } catch (error) {
+        console.error('Error in hybrid search:', error);
+        throw error;
+    }
+}
+
+// Cache of processed links, refreshed when the linked page changes
+async function createLinkCacheTable() {
+    try {
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS link_cache (
+                url TEXT PRIMARY KEY,
+                content TEXT,
+                summary TEXT,
+                revision TEXT,
+                fetched_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+                error TEXT
+            );
+
+            -- Text of images and PDFs shared in Slack, a file's content never changes once uploaded
+            CREATE TABLE IF NOT EXISTS slack_file_cache (
+                file_id TEXT PRIMARY KEY,
+                segment_type TEXT NOT NULL,
+                text TEXT NOT NULL,
+                created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+            );
+        `);
+        console.log('Link and file cache tables created');
+    } catch (error) {
+        console.error('Error creating link cache table:', error);
+        throw error;
+    }
+}
+
+// Track documents synced from outside Slack and when they were last changed
+async function createSyncTables() {
+    try {
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS synced_documents (
+                source_id TEXT PRIMARY KEY,
+                source_type TEXT NOT NULL,
+                title TEXT,
+                url TEXT,
+                edited_at TIMESTAMP WITH TIME ZONE,
+                synced_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+            );
+
+            CREATE INDEX IF NOT EXISTS synced_documents_source_type_idx ON synced_documents(source_type);
+            -- Drive checkpoint that indexed the document, only that source may remove it
+            ALTER TABLE synced_documents ADD COLUMN IF NOT EXISTS sync_source TEXT;
+
+            -- Drive changes API page token per shared drive, or for all configured folders together
+            CREATE TABLE IF NOT EXISTS drive_sync_checkpoints (
+                checkpoint_id TEXT PRIMARY KEY,
+                page_token TEXT NOT NULL,
+                updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+            );
+
+            -- Folders below the configured folders, so a folder moved out of them is noticed
+            CREATE TABLE IF NOT EXISTS drive_folders (
+                checkpoint_id TEXT NOT NULL,
+                folder_id TEXT NOT NULL,
+                PRIMARY KEY (checkpoint_id, folder_id)
+            );
+        `);
+        console.log('Sync tables created');
+    } catch (error) {
+        console.error('Error creating sync tables:', error);
+        throw error;
     }
-    
-    return context;
 }
 
 // Initialize database
@@ -311,14 +926,37 @@ async function initializeDatabase() {
     console.log('Initializing database');
     await initializeVectorExtension();
     await createMessagesTable();
+    await verifyEmbeddingDimension();
+    await createEmbeddingSettingsTable();
+    await verifyEmbeddingProvider();
+    await createProcessedEventsTable();
+    await createJobsTables();
+    await createActivityTables();
+    await createFeedbackTables();
+    await createPermissionTables();
+    await createSyncTables();
+    await createLinkCacheTable();
     console.log('Database initialized');
 }
 
 module.exports = {
+    pool,
     initializeDatabase,
+    watchEmbeddingProvider,
+    generateEmbedding,
     storeMessage,
     chunkAndStoreMessage,
+    chunkAndStoreDocument,
     searchSimilarMessages,
-    getRelevantContext,
-    deleteChannelMessages
+    hybridSearchMessages,
+    deleteChannelMessages,
+    deleteThreadMessages,
+    deleteFileMessages,
+    deleteDocumentMessages,
+    listChannels,
+    listUserNames,
+    listChunks,
+    reembedThread,
+    claimEvent,
+    getProcessedEvent
 }; 
\ No newline at end of file
@@ -0,0 +1,44 @@
+const pdfParse = require('pdf-parse');
+const mammoth = require('mammoth');
+
+const DOCX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+
+// Google formats are exported to text, uploaded files are downloaded and parsed
+const EXPORT_MIME_TYPES = {
+    'application/vnd.google-apps.document': 'text/plain',
+    'application/vnd.google-apps.spreadsheet': 'text/csv',
+    'application/vnd.google-apps.presentation': 'text/plain'
+};
+const DOWNLOAD_PARSERS = {
+    'application/pdf': async (buffer) => (await pdfParse(buffer)).text,
+    [DOCX_MIME_TYPE]: async (buffer) => (await mammoth.extractRawText({ buffer })).value
+};
+
+function isSupportedDriveFile(mimeType) {
+    return Boolean(EXPORT_MIME_TYPES[mimeType] || DOWNLOAD_PARSERS[mimeType]);
+}
+
+// Text content of a Drive file, or null when its type can't be read
+async function extractDriveFileText(drive, { id, mimeType }) {
+    if (EXPORT_MIME_TYPES[mimeType]) {
+        const exported = await drive.files.export({
+            fileId: id,
+            mimeType: EXPORT_MIME_TYPES[mimeType],
+            supportsAllDrives: true
+        });
+        return exported.data;
+    }
+    if (DOWNLOAD_PARSERS[mimeType]) {
+        const download = await drive.files.get(
+            { fileId: id, alt: 'media', supportsAllDrives: true },
+            { responseType: 'arraybuffer' }
+        );
+        return await DOWNLOAD_PARSERS[mimeType](Buffer.from(download.data));
+    }
+    return null;
+}
+
+module.exports = {
+    isSupportedDriveFile,
+    extractDriveFileText
+};
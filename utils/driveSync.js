@@ -0,0 +1,373 @@
+const { google } = require('googleapis');
+const { pool, chunkAndStoreDocument, deleteDocumentMessages } = require('./db');
+const { JOB_PRIORITY, registerJobHandler, enqueueJob } = require('./jobQueue');
+const { isSupportedDriveFile, extractDriveFileText } = require('./driveContent');
+
+const auth = new google.auth.GoogleAuth({
+    keyFile: 'google.json',
+    scopes: ['https://www.googleapis.com/auth/drive.readonly'],
+});
+const drive = google.drive({ version: 'v3', auth });
+
+const FOLDER_MIME_TYPE = 'application/vnd.google-apps.folder';
+const GOOGLE_DRIVE_SYNC_INTERVAL_MINUTES = parseInt(process.env.GOOGLE_DRIVE_SYNC_INTERVAL_MINUTES || '60', 10);
+// Folders nested deeper than this below a configured folder are not looked at
+const MAX_FOLDER_DEPTH = 20;
+
+const FILE_FIELDS = 'id,name,mimeType,trashed,modifiedTime,parents,webViewLink,lastModifyingUser(displayName)';
+
+function listSetting(name) {
+    return (process.env[name] || '').split(',').map(value => value.trim()).filter(Boolean);
+}
+
+// Shared drives are crawled whole, folders together with everything below them
+function getDriveSyncConfig() {
+    return {
+        folderIds: listSetting('GOOGLE_DRIVE_FOLDER_IDS'),
+        sharedDriveIds: listSetting('GOOGLE_DRIVE_SHARED_DRIVE_IDS')
+    };
+}
+
+// Chunks and synced_documents rows are keyed by drive:<file ID>
+function driveSourceId(fileId) {
+    return `drive:${fileId}`;
+}
+
+// Queue a Drive sync now and every GOOGLE_DRIVE_SYNC_INTERVAL_MINUTES after that
+async function scheduleDriveSync() {
+    const { folderIds, sharedDriveIds } = getDriveSyncConfig();
+    if (folderIds.length === 0 && sharedDriveIds.length === 0) {
+        return;
+    }
+    const enqueue = () => enqueueJob('sync_drive', {}, { dedupeKey: 'sync_drive', priority: JOB_PRIORITY.sync })
+        .catch(error => console.error('Error scheduling Drive sync:', error));
+    await enqueue();
+    setInterval(enqueue, GOOGLE_DRIVE_SYNC_INTERVAL_MINUTES * 60 * 1000).unref();
+}
+
+async function getCheckpoint(checkpointId) {
+    const result = await pool.query('SELECT page_token FROM drive_sync_checkpoints WHERE checkpoint_id = $1', [checkpointId]);
+    return result.rows[0]?.page_token || null;
+}
+
+async function saveCheckpoint(checkpointId, pageToken) {
+    await pool.query(`
+        INSERT INTO drive_sync_checkpoints (checkpoint_id, page_token, updated_at)
+        VALUES ($1, $2, NOW())
+        ON CONFLICT (checkpoint_id) DO UPDATE SET page_token = EXCLUDED.page_token, updated_at = NOW();
+    `, [checkpointId, pageToken]);
+}
+
+// Queue a file for indexing unless the stored copy is already up to date. An up to date copy
+// indexed by another source is taken over, so a file moved between sources stays indexed
+async function enqueueFileIfChanged(file, checkpointId) {
+    if (!isSupportedDriveFile(file.mimeType)) {
+        return false;
+    }
+    const stored = await pool.query('SELECT edited_at, sync_source FROM synced_documents WHERE source_id = $1', [driveSourceId(file.id)]);
+    // Unlike Notion's edit times, modifiedTime has millisecond precision
+    if (stored.rows[0] && new Date(file.modifiedTime) <= stored.rows[0].edited_at) {
+        if (stored.rows[0].sync_source !== checkpointId) {
+            await pool.query('UPDATE synced_documents SET sync_source = $2 WHERE source_id = $1', [driveSourceId(file.id), checkpointId]);
+        }
+        return false;
+    }
+    await enqueueJob('sync_drive_file', { fileId: file.id, checkpointId }, {
+        dedupeKey: `sync_drive_file:${file.id}`,
+        priority: JOB_PRIORITY.sync
+    });
+    return true;
+}
+
+async function removeDriveDocument(fileId) {
+    const removed = await deleteDocumentMessages(driveSourceId(fileId));
+    await pool.query('DELETE FROM synced_documents WHERE source_id = $1', [driveSourceId(fileId)]);
+    return removed;
+}
+
+// Remove a file that is out of scope for a source, unless another source indexed it.
+// Rows from before sources were recorded can be removed by any of them
+async function removeIfIndexedBy(fileId, checkpointId) {
+    const stored = await pool.query('SELECT sync_source FROM synced_documents WHERE source_id = $1', [driveSourceId(fileId)]);
+    const syncSource = stored.rows[0]?.sync_source;
+    if (syncSource && syncSource !== checkpointId) {
+        return 0;
+    }
+    return removeDriveDocument(fileId);
+}
+
+// Every page of a files.list query
+async function listAllFiles(params) {
+    const files = [];
+    let pageToken;
+    do {
+        const response = await drive.files.list({
+            ...params,
+            pageToken,
+            pageSize: 1000,
+            fields: `nextPageToken,files(${FILE_FIELDS})`,
+            includeItemsFromAllDrives: true,
+            supportsAllDrives: true
+        });
+        files.push(...response.data.files);
+        pageToken = response.data.nextPageToken;
+    } while (pageToken);
+    return files;
+}
+
+// Files in the folders and all of their subfolders, together with the IDs of the folders crawled.
+// Trashed files are only listed when asked for, the contents of a trashed folder are trashed too
+async function crawlFolders(folderIds, { includeTrashed = false } = {}) {
+    const files = [];
+    const visited = new Set();
+    let level = folderIds;
+    for (let depth = 0; level.length > 0 && depth <= MAX_FOLDER_DEPTH; depth++) {
+        const next = [];
+        for (const folderId of level) {
+            if (visited.has(folderId)) continue;
+            visited.add(folderId);
+            const q = includeTrashed ? `'${folderId}' in parents` : `'${folderId}' in parents and trashed = false`;
+            for (const file of await listAllFiles({ q })) {
+                if (file.mimeType === FOLDER_MIME_TYPE) {
+                    next.push(file.id);
+                } else {
+                    files.push(file);
+                }
+            }
+        }
+        level = next;
+    }
+    return { files, folders: [...visited] };
+}
+
+async function isKnownFolder(checkpointId, folderId) {
+    const result = await pool.query('SELECT 1 FROM drive_folders WHERE checkpoint_id = $1 AND folder_id = $2', [checkpointId, folderId]);
+    return result.rows.length > 0;
+}
+
+async function saveFolders(checkpointId, folderIds) {
+    await pool.query(
+        'INSERT INTO drive_folders (checkpoint_id, folder_id) SELECT $1, unnest($2::text[]) ON CONFLICT DO NOTHING',
+        [checkpointId, folderIds]
+    );
+}
+
+async function forgetFolders(checkpointId, folderIds) {
+    await pool.query('DELETE FROM drive_folders WHERE checkpoint_id = $1 AND folder_id = ANY($2)', [checkpointId, folderIds]);
+}
+
+// Whether a file sits somewhere below one of the folders, walking up its parents
+async function isInFolders(file, folderIds, parentsCache) {
+    let level = file.parents || [];
+    for (let depth = 0; level.length > 0 && depth <= MAX_FOLDER_DEPTH; depth++) {
+        if (level.some(parentId => folderIds.includes(parentId))) {
+            return true;
+        }
+        const next = [];
+        for (const parentId of level) {
+            if (!parentsCache.has(parentId)) {
+                try {
+                    const parent = await drive.files.get({ fileId: parentId, fields: 'parents', supportsAllDrives: true });
+                    parentsCache.set(parentId, parent.data.parents || []);
+                } catch (error) {
+                    // Folders the service account can't see are outside what we sync
+                    parentsCache.set(parentId, []);
+                }
+            }
+            next.push(...parentsCache.get(parentId));
+        }
+        level = next;
+    }
+    return false;
+}
+
+// Index everything below the configured folders or in a shared drive, remembering where
+// the changes feed stood before the crawl so nothing edited during it is missed
+async function crawl(checkpointId, { folderIds, sharedDriveId }) {
+    const startToken = await drive.changes.getStartPageToken({ driveId: sharedDriveId, supportsAllDrives: true });
+    let files;
+    if (sharedDriveId) {
+        files = await listAllFiles({ driveId: sharedDriveId, corpora: 'drive', q: 'trashed = false' });
+    } else {
+        const crawled = await crawlFolders(folderIds);
+        files = crawled.files;
+        await pool.query('DELETE FROM drive_folders WHERE checkpoint_id = $1', [checkpointId]);
+        await saveFolders(checkpointId, crawled.folders);
+    }
+
+    let queued = 0;
+    for (const file of files) {
+        if (await enqueueFileIfChanged(file, checkpointId)) queued++;
+    }
+    await saveCheckpoint(checkpointId, startToken.data.startPageToken);
+    console.log(`Drive crawl of ${checkpointId} queued ${queued} of ${files.length} files`);
+}
+
+// A folder moved below the configured folders is crawled, and everything below a folder moved out
+// of them or trashed is removed. Other folder changes, like renames, don't change what is indexed.
+// A folder we lost access to can't be listed, its files are removed by their own changes
+async function applyFolderChange(checkpointId, change, folderIds, parentsCache) {
+    const folder = change.file;
+    const inScope = folder && !change.removed && !folder.trashed
+        && (folderIds.includes(folder.id) || await isInFolders(folder, folderIds, parentsCache));
+    const known = await isKnownFolder(checkpointId, change.fileId);
+    let queued = 0;
+    let removed = 0;
+
+    if (inScope && !known) {
+        const { files, folders } = await crawlFolders([change.fileId]);
+        for (const file of files) {
+            if (await enqueueFileIfChanged(file, checkpointId)) queued++;
+        }
+        await saveFolders(checkpointId, folders);
+    } else if (!inScope && known) {
+        let crawled = { files: [], folders: [change.fileId] };
+        try {
+            crawled = await crawlFolders([change.fileId], { includeTrashed: true });
+        } catch (error) {
+            console.error(`Error listing Drive folder ${change.fileId}:`, error.message);
+        }
+        for (const file of crawled.files) {
+            if (await removeIfIndexedBy(file.id, checkpointId) > 0) removed++;
+        }
+        await forgetFolders(checkpointId, crawled.folders);
+    }
+    return { queued, removed };
+}
+
+// Apply the changes since the checkpoint: index new and edited files, remove trashed,
+// deleted and unshared ones. Folder checkpoints see all of Drive and keep only files below the
+// folders, files another source indexed are left to that source
+async function applyChanges(checkpointId, pageToken, { folderIds, sharedDriveId }) {
+    const parentsCache = new Map();
+    let queued = 0;
+    let removed = 0;
+
+    // Checkpoints saved before folders were recorded learn them once
+    if (!sharedDriveId) {
+        const recorded = await pool.query('SELECT 1 FROM drive_folders WHERE checkpoint_id = $1 LIMIT 1', [checkpointId]);
+        if (recorded.rows.length === 0) {
+            await saveFolders(checkpointId, (await crawlFolders(folderIds)).folders);
+        }
+    }
+
+    while (pageToken) {
+        const response = await drive.changes.list({
+            pageToken,
+            driveId: sharedDriveId,
+            pageSize: 1000,
+            includeRemoved: true,
+            includeItemsFromAllDrives: true,
+            supportsAllDrives: true,
+            fields: `nextPageToken,newStartPageToken,changes(fileId,removed,file(${FILE_FIELDS}))`
+        });
+
+        for (const change of response.data.changes) {
+            const file = change.file;
+            // Removed changes carry no file, those of folders we crawled are recognised by their ID
+            const isFolder = file ? file.mimeType === FOLDER_MIME_TYPE : !sharedDriveId && await isKnownFolder(checkpointId, change.fileId);
+            if (isFolder) {
+                if (!sharedDriveId) {
+                    if (file) parentsCache.set(file.id, file.parents || []);
+                    const counts = await applyFolderChange(checkpointId, change, folderIds, parentsCache);
+                    queued += counts.queued;
+                    removed += counts.removed;
+                }
+                continue;
+            }
+            const inScope = file && !change.removed && !file.trashed
+                && (sharedDriveId || await isInFolders(file, folderIds, parentsCache));
+            if (inScope) {
+                if (await enqueueFileIfChanged(file, checkpointId)) queued++;
+            } else if (await removeIfIndexedBy(change.fileId, checkpointId) > 0) {
+                removed++;
+            }
+        }
+
+        // Save progress after every page so a failed run resumes from here,
+        // the last page carries the token to start from next time
+        await saveCheckpoint(checkpointId, response.data.newStartPageToken || response.data.nextPageToken);
+        pageToken = response.data.nextPageToken;
+    }
+    console.log(`Drive changes for ${checkpointId} queued ${queued} files and removed ${removed}`);
+}
+
+// Crawl shared drives and folders the first time, then follow the changes feed
+async function syncDrive() {
+    const { folderIds, sharedDriveIds } = getDriveSyncConfig();
+    const sources = sharedDriveIds.map(sharedDriveId => ({ checkpointId: `shared_drive:${sharedDriveId}`, sharedDriveId }));
+    if (folderIds.length > 0) {
+        // Changing the folder list starts a fresh crawl
+        sources.push({ checkpointId: `folders:${[...folderIds].sort().join(',')}`, folderIds });
+    }
+
+    for (const { checkpointId, ...scope } of sources) {
+        const pageToken = await getCheckpoint(checkpointId);
+        if (pageToken) {
+            await applyChanges(checkpointId, pageToken, scope);
+        } else {
+            await crawl(checkpointId, scope);
+        }
+    }
+}
+
+// Drive answers 403 for rate limits as well as for lost access, only the permission
+// reasons mean the file is out of reach. Rate limited calls are retried by the job queue
+const PERMISSION_DENIED_REASONS = ['insufficientFilePermissions', 'forbidden', 'cannotDownloadFile', 'appNotAuthorizedToFile'];
+
+function isFileGoneError(error) {
+    if (error.code === 404) {
+        return true;
+    }
+    if (error.code !== 403) {
+        return false;
+    }
+    const reasons = (error.errors || error.response?.data?.error?.errors || []).map(detail => detail.reason);
+    return reasons.some(reason => PERMISSION_DENIED_REASONS.includes(reason));
+}
+
+// Read a Drive file and replace its stored chunks, or drop them if it is gone
+async function syncDriveFile({ fileId, checkpointId = null }) {
+    let file;
+    try {
+        file = (await drive.files.get({ fileId, fields: FILE_FIELDS, supportsAllDrives: true })).data;
+    } catch (error) {
+        if (isFileGoneError(error)) {
+            await removeDriveDocument(fileId);
+            return;
+        }
+        throw error;
+    }
+    if (file.trashed) {
+        await removeDriveDocument(fileId);
+        return;
+    }
+
+    const content = await extractDriveFileText(drive, file);
+    if (content === null) {
+        return;
+    }
+    await chunkAndStoreDocument({
+        sourceId: driveSourceId(fileId),
+        sourceType: 'google_drive',
+        title: file.name,
+        url: file.webViewLink,
+        userName: file.lastModifyingUser?.displayName || null,
+        editedAt: new Date(file.modifiedTime)
+    }, `# ${file.name}\n\n${content}`);
+
+    await pool.query(`
+        INSERT INTO synced_documents (source_id, source_type, title, url, edited_at, synced_at, sync_source)
+        VALUES ($1, 'google_drive', $2, $3, $4, NOW(), $5)
+        ON CONFLICT (source_id) DO UPDATE
+        SET title = EXCLUDED.title, url = EXCLUDED.url, edited_at = EXCLUDED.edited_at, synced_at = NOW(),
+            sync_source = COALESCE(EXCLUDED.sync_source, synced_documents.sync_source);
+    `, [driveSourceId(fileId), file.name, file.webViewLink, file.modifiedTime, checkpointId]);
+}
+
+registerJobHandler('sync_drive', syncDrive);
+registerJobHandler('sync_drive_file', syncDriveFile);
+
+module.exports = {
+    scheduleDriveSync
+};
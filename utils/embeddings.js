@@ -0,0 +1,117 @@
+const crypto = require('crypto');
+const { OpenAI } = require('openai');
+
+// Known output dimensions, EMBEDDING_DIMENSION overrides them for models not listed here
+const OPENAI_DIMENSIONS = {
+    'text-embedding-ada-002': 1536,
+    'text-embedding-3-small': 1536,
+    'text-embedding-3-large': 3072
+};
+
+const LOCAL_DIMENSIONS = {
+    'Xenova/all-MiniLM-L6-v2': 384,
+    'Xenova/bge-small-en-v1.5': 384,
+    'Xenova/bge-base-en-v1.5': 768,
+    'Xenova/all-mpnet-base-v2': 768
+};
+
+function resolveDimension(knownDimensions, model) {
+    const dimension = parseInt(process.env.EMBEDDING_DIMENSION || '', 10) || knownDimensions[model];
+    if (!dimension) {
+        throw new Error(`Unknown embedding dimension for model ${model}, set EMBEDDING_DIMENSION`);
+    }
+    return dimension;
+}
+
+// OpenAI embeddings API
+function createOpenAIEmbeddingProvider(model = 'text-embedding-ada-002') {
+    const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+    return {
+        id: `openai:${model}`,
+        dimension: resolveDimension(OPENAI_DIMENSIONS, model),
+        maxTokens: 8192,
+        async embed(text) {
+            const response = await openai.embeddings.create({
+                model,
+                input: text,
+                encoding_format: "float"
+            });
+            return response.data[0].embedding;
+        }
+    };
+}
+
+// Local ONNX model run through transformers.js, loaded on first use
+function createLocalEmbeddingProvider(model = 'Xenova/all-MiniLM-L6-v2') {
+    let extractorPromise = null;
+    return {
+        id: `local:${model}`,
+        dimension: resolveDimension(LOCAL_DIMENSIONS, model),
+        maxTokens: 512,
+        async embed(text) {
+            if (!extractorPromise) {
+                const { pipeline } = require('@huggingface/transformers');
+                extractorPromise = pipeline('feature-extraction', model);
+            }
+            const extractor = await extractorPromise;
+            const output = await extractor(text, { pooling: 'mean', normalize: true });
+            return Array.from(output.data);
+        }
+    };
+}
+
+// Deterministic embeddings for tests, texts sharing words get similar vectors
+function createFakeEmbeddingProvider(dimension = 16) {
+    return {
+        id: `fake:${dimension}`,
+        dimension,
+        maxTokens: 8192,
+        async embed(text) {
+            const vector = new Array(dimension).fill(0);
+            for (const word of text.toLowerCase().split(/\W+/).filter(Boolean)) {
+                const hash = crypto.createHash('sha256').update(word).digest();
+                vector[hash.readUInt32BE(0) % dimension] += hash[4] & 1 ? 1 : -1;
+            }
+            const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0)) || 1;
+            return vector.map(value => value / norm);
+        }
+    };
+}
+
+// Build a provider from EMBEDDING_PROVIDER and EMBEDDING_MODEL
+function createEmbeddingProvider(name = process.env.EMBEDDING_PROVIDER || 'openai', model = process.env.EMBEDDING_MODEL) {
+    switch (name) {
+        case 'openai':
+            return createOpenAIEmbeddingProvider(model);
+        case 'local':
+            return createLocalEmbeddingProvider(model);
+        case 'fake':
+            return createFakeEmbeddingProvider(parseInt(process.env.EMBEDDING_DIMENSION || '16', 10));
+        default:
+            throw new Error(`Unknown embedding provider: ${name}`);
+    }
+}
+
+let embeddingProvider = null;
+
+// The provider configured for this process
+function getEmbeddingProvider() {
+    if (!embeddingProvider) {
+        embeddingProvider = createEmbeddingProvider();
+    }
+    return embeddingProvider;
+}
+
+// Swap the configured provider, used by tests and migrations
+function setEmbeddingProvider(provider) {
+    embeddingProvider = provider;
+}
+
+module.exports = {
+    createEmbeddingProvider,
+    createOpenAIEmbeddingProvider,
+    createLocalEmbeddingProvider,
+    createFakeEmbeddingProvider,
+    getEmbeddingProvider,
+    setEmbeddingProvider
+};
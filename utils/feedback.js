@@ -0,0 +1,92 @@
+const { pool } = require('./db');
+
+// Slack caps option text at 75 characters
+const MAX_OPTION_LENGTH = 75;
+
+// Record a 👍 or 👎 on an answer together with the chunks retrieved for it.
+// Voting again replaces the user's previous vote
+async function recordVote(answerId, userId, rating) {
+    const result = await pool.query(`
+        INSERT INTO answer_feedback (answer_id, user_id, rating, chunk_ids)
+        SELECT id, $2, $3, COALESCE(chunk_ids, '{}') FROM answers WHERE id = $1
+        ON CONFLICT (answer_id, user_id) WHERE rating IN ('helpful', 'unhelpful')
+        DO UPDATE SET rating = EXCLUDED.rating, created_at = NOW()
+        RETURNING id;
+    `, [answerId, userId, rating]);
+    return result.rows[0]?.id || null;
+}
+
+// Record that a chunk retrieved for an answer was the wrong source
+async function recordWrongSource(answerId, userId, chunkId) {
+    const result = await pool.query(`
+        INSERT INTO answer_feedback (answer_id, user_id, rating, chunk_ids)
+        SELECT id, $2, 'wrong_source', ARRAY[$3::integer] FROM answers WHERE id = $1 AND $3 = ANY(chunk_ids)
+        ON CONFLICT (answer_id, user_id, chunk_ids) WHERE rating = 'wrong_source' DO NOTHING
+        RETURNING id;
+    `, [answerId, userId, chunkId]);
+    return result.rows[0]?.id || null;
+}
+
+// Chunks that were retrieved for downvoted answers or reported as wrong, worst first
+async function listDownvotedSources(limit = 50) {
+    const result = await pool.query(`
+        WITH votes AS (
+            SELECT chunk_id,
+                   COUNT(*) FILTER (WHERE rating = 'helpful')::int AS helpful,
+                   COUNT(*) FILTER (WHERE rating = 'unhelpful')::int AS unhelpful,
+                   COUNT(*) FILTER (WHERE rating = 'wrong_source')::int AS wrong_source
+            FROM answer_feedback, unnest(chunk_ids) AS chunk_id
+            GROUP BY chunk_id
+        )
+        SELECT m.id, m.channel_id, m.channel_name, m.thread_ts, m.user_name, m.source_type, m.source_url, m.content,
+               m.metadata->>'title' AS title,
+               v.helpful, v.unhelpful, v.wrong_source
+        FROM votes v
+        JOIN messages m ON m.id = v.chunk_id
+        WHERE v.unhelpful + v.wrong_source > 0
+        ORDER BY v.wrong_source DESC, v.unhelpful DESC, v.helpful ASC
+        LIMIT $1;
+    `, [limit]);
+    return result.rows;
+}
+
+// Vote buttons and a menu to report one of the cited sources as wrong
+function formatFeedbackBlocks(answerId, citations = []) {
+    const elements = [
+        {
+            type: "button",
+            text: { type: "plain_text", text: "👍", emoji: true },
+            action_id: "answer_helpful",
+            value: String(answerId)
+        },
+        {
+            type: "button",
+            text: { type: "plain_text", text: "👎", emoji: true },
+            action_id: "answer_unhelpful",
+            value: String(answerId)
+        }
+    ];
+    if (citations.length > 0) {
+        elements.push({
+            type: "static_select",
+            action_id: "wrong_source",
+            placeholder: { type: "plain_text", text: "Wrong source" },
+            options: citations.map(citation => ({
+                text: {
+                    type: "plain_text",
+                    text: `[${citation.index}] ${citation.channelId ? `#${citation.channelName || citation.channelId}` : citation.title || citation.sourceType} · ${citation.userName || 'Unknown'}`
+                        .slice(0, MAX_OPTION_LENGTH)
+                },
+                value: `${answerId}:${citation.chunkId}`
+            }))
+        });
+    }
+    return [{ type: "actions", elements }];
+}
+
+module.exports = {
+    recordVote,
+    recordWrongSource,
+    listDownvotedSources,
+    formatFeedbackBlocks
+};
@@ -0,0 +1,306 @@
+const { WebClient } = require('@slack/web-api');
+const { pool, chunkAndStoreMessage, deleteThreadMessages } = require('./db');
+const { JOB_PRIORITY, registerJobHandler, enqueueJob } = require('./jobQueue');
+const { extractLinks, processLink, processImage, processPDF } = require('./linkProcessor');
+const { processMessageContent } = require('./messageProcessor');
+const { formatMessageWithBlocks } = require('./slackFormatting');
+
+// Rate limited calls throw with retryAfter so the job queue can reschedule instead of blocking
+const slack = new WebClient(process.env.SLACK_BOT_OAUTH, { rejectRateLimitedCalls: true });
+
+// 0 means no limit on the number of historical messages learnt per channel
+const BACKFILL_MAX_MESSAGES = parseInt(process.env.BACKFILL_MAX_MESSAGES || '0', 10);
+// Seconds between checks whether the messages of a finished backfill have all been embedded
+const BACKFILL_NOTIFY_RECHECK_SECONDS = 30;
+
+// Queue a history backfill for a channel, restarting from the newest message
+async function enqueueChannelBackfill(channelId) {
+    await pool.query(`
+        INSERT INTO backfill_checkpoints (channel_id, cursor, processed_count, status, updated_at)
+        VALUES ($1, NULL, 0, 'running', NOW())
+        ON CONFLICT (channel_id) DO UPDATE
+        SET cursor = NULL, processed_count = 0, status = 'running', updated_at = NOW();
+    `, [channelId]);
+    return await enqueueJob('backfill_channel', { channelId }, { dedupeKey: `backfill:${channelId}` });
+}
+
+// Queue a live Slack message event for link processing and embedding
+async function enqueueLiveMessage(event) {
+    return await enqueueJob('process_message', { channelId: event.channel, message: event, live: true }, { priority: JOB_PRIORITY.live });
+}
+
+async function getChannelDetails(channelId) {
+    const channelInfo = await slack.conversations.info({ channel: channelId });
+    return {
+        channelName: channelInfo.channel.name,
+        channelDescription: channelInfo.channel.purpose?.value || 'No description',
+        channelTopic: channelInfo.channel.topic?.value || 'No topic'
+    };
+}
+
+// Queue an edited or deleted Slack message so the thread it belongs to is stored again.
+// Deleting a thread parent with replies arrives as a message_changed to a tombstone
+async function enqueueMessageChange(event) {
+    const message = event.subtype === 'message_deleted' ? event.previous_message : event.message;
+    if (!message || message.user === process.env.SLACK_BOT_ID) {
+        return null;
+    }
+    if (event.subtype === 'message_changed' && message.subtype !== 'tombstone') {
+        // Unfurls and reactions also arrive as message_changed, skip them when the content is the same
+        const fileIds = files => (files || []).map(file => file.id).join(',');
+        const previous = event.previous_message || {};
+        if (previous.text === message.text && fileIds(previous.files) === fileIds(message.files)) {
+            return null;
+        }
+    }
+    return await enqueueJob('rebuild_thread', { channelId: event.channel, threadTs: message.thread_ts || message.ts }, { priority: JOB_PRIORITY.live });
+}
+
+// Walk the channel history from the last checkpoint, queueing every message
+async function backfillChannel({ channelId }) {
+    const checkpointResult = await pool.query('SELECT * FROM backfill_checkpoints WHERE channel_id = $1', [channelId]);
+    const checkpoint = checkpointResult.rows[0];
+    if (!checkpoint || checkpoint.status === 'done') {
+        return;
+    }
+
+    const channel = await getChannelDetails(channelId);
+    let cursor = checkpoint.cursor;
+    let processedCount = checkpoint.processed_count;
+
+    do {
+        const result = await slack.conversations.history({
+            channel: channelId,
+            limit: 100,
+            cursor: cursor || undefined
+        });
+
+        for (const message of result.messages) {
+            await enqueueJob('process_message', { channelId, message, ...channel });
+        }
+        processedCount += result.messages.length;
+        cursor = result.response_metadata?.next_cursor || null;
+
+        // Checkpoint after every page so a restart continues where we left off
+        await pool.query(
+            'UPDATE backfill_checkpoints SET cursor = $2, processed_count = $3, updated_at = NOW() WHERE channel_id = $1',
+            [channelId, cursor, processedCount]
+        );
+
+        if (BACKFILL_MAX_MESSAGES && processedCount >= BACKFILL_MAX_MESSAGES && cursor) {
+            console.warn(`Backfill of ${channelId} stopped at BACKFILL_MAX_MESSAGES (${BACKFILL_MAX_MESSAGES}), older messages were skipped`);
+            break;
+        }
+    } while (cursor);
+
+    await pool.query("UPDATE backfill_checkpoints SET status = 'done', updated_at = NOW() WHERE channel_id = $1", [channelId]);
+    console.log(`Queued ${processedCount} historical messages from ${channelId}`);
+
+    // Waits for the queued messages and the embed jobs they queue before posting
+    await enqueueJob('notify_backfill_complete', { channelId });
+}
+
+// Summarize the files and links of a freshly posted message and react once they are learnt
+async function summarizeLiveMessage(event) {
+    let fileSummaryText = "";
+    // Process files in the message
+    if (event.files && event.user !== process.env.SLACK_BOT_ID) {
+        fileSummaryText = "Here's a summary of the files in your message:\n\n";
+
+        for (const file of event.files) {
+            try {
+                if (file.mimetype.startsWith('image/')) {
+                    const { content, summary } = await processImage(file.url_private_download);
+                    fileSummaryText += `Image: ${file.name}\n${summary}\n\n`;
+                } else if (file.mimetype === 'application/pdf') {
+                    const { content, summary } = await processPDF(file.url_private_download);
+                    fileSummaryText += `PDF: ${file.name}\n${summary}\n\n`;
+                }
+            } catch (error) {
+                console.error(`Error processing file ${file.name}:`, error);
+                fileSummaryText += `*${file.name}*\nSorry, I couldn't process this file.\n\n`;
+            }
+        }
+    }
+
+    // Process links in the message
+    let summaryText = "";
+    const links = extractLinks(event.text);
+    let processedLinks = 0;
+
+    if (links.length > 0 && event.user !== process.env.SLACK_BOT_ID) {
+        summaryText = "Here's a summary of the links in your message:\n\n";
+
+        for (const link of links) {
+            try {
+                const { content, summary } = await processLink(link);
+                summaryText += `${link} : \n${summary}\n\n`;
+                processedLinks++;
+            } catch (error) {
+                console.error(`Error processing link ${link}:`, error);
+                summaryText += `*${link}*\nSorry, I couldn't process this link.\n\n`;
+            }
+        }
+    }
+    // If we processed any files or links, respond with notebook emoji
+    if (processedLinks == links.length && processedLinks > 0) {
+        try {
+            await slack.reactions.add({
+                channel: event.channel,
+                name: 'notebook',
+                timestamp: event.ts
+            });
+        } catch (error) {
+            console.error('Error adding notebook reaction:', error);
+        }
+    }
+
+    return event.text + "\n\n" + summaryText + "\n\n" + fileSummaryText;
+}
+
+// Turn a Slack message into storable segments, then queue them for embedding at the same priority
+async function processMessageJob({ channelId, message, live, channelName, channelDescription, channelTopic }, job) {
+    if (live) {
+        message = { ...message, text: await summarizeLiveMessage(message) };
+    }
+    if (!channelName) {
+        ({ channelName, channelDescription, channelTopic } = await getChannelDetails(channelId));
+    }
+
+    // Errors reading the message propagate so the job is retried, null means it is skipped on purpose
+    const segments = await processMessageContent(message, channelId, channelName, channelDescription, channelTopic);
+    if (!segments) {
+        return;
+    }
+
+    // Get user info
+    let senderName = message.username || "Team Member";
+    let senderTitle = "";
+    const authors = new Map();
+    const getAuthor = async (user) => {
+        if (!authors.has(user)) {
+            const userInfo = await slack.users.info({ user });
+            authors.set(user, {
+                name: userInfo.user ? (userInfo.user.real_name || userInfo.user.name) : user,
+                title: userInfo.user?.profile?.title || 'No title'
+            });
+        }
+        return authors.get(user);
+    };
+    if (message.user) {
+        ({ name: senderName, title: senderTitle } = await getAuthor(message.user));
+    }
+
+    // Each segment keeps who posted it, so chunks of a thread are attributed to their own author
+    // rather than to whoever wrote the latest message
+    for (const segment of segments) {
+        if (!segment.user) continue;
+        const { name, title } = await getAuthor(segment.user);
+        segment.user_name = name;
+        segment.user_title = title;
+    }
+
+    await enqueueJob('embed_message', {
+        channelId,
+        channelName,
+        threadTs: message.thread_ts || message.ts,
+        segments,
+        senderName,
+        senderTitle,
+        messageTs: message.ts
+    }, { priority: job.priority });
+}
+
+// Re-read a thread from Slack and replace its stored chunks, or drop them if the thread is gone
+async function rebuildThreadJob({ channelId, threadTs }, job) {
+    let root;
+    try {
+        const result = await slack.conversations.replies({ channel: channelId, ts: threadTs, limit: 1 });
+        root = result.messages[0];
+    } catch (error) {
+        if (error.data?.error !== 'thread_not_found' && error.data?.error !== 'message_not_found') {
+            throw error;
+        }
+    }
+    if (!root || root.ts !== threadTs) {
+        await deleteThreadMessages(channelId, threadTs);
+        return;
+    }
+    // Only threads with replies carry thread_ts, the whole thread is read back in that case
+    await processMessageJob({ channelId, message: { ...root, text: root.text || '' } }, job);
+}
+
+// Chunk, embed and store processed message content
+async function embedMessageJob({ channelId, channelName, threadTs, segments, senderName, senderTitle, messageTs }) {
+    await chunkAndStoreMessage({
+        channelId,
+        channelName,
+        threadTs,
+        messageTs,
+        userName: senderName,
+        userTitle: senderTitle
+    }, segments);
+}
+
+// Rows stored before channel IDs had their own column hold the ID in channel_name, look the names up
+async function enqueueChannelNameBackfill() {
+    return await enqueueJob('resolve_channel_names', {}, { dedupeKey: 'resolve_channel_names' });
+}
+
+async function resolveChannelNames() {
+    const result = await pool.query(
+        'SELECT DISTINCT channel_id FROM messages WHERE channel_name IS NULL OR channel_name = channel_id'
+    );
+    for (const { channel_id: channelId } of result.rows) {
+        try {
+            const { channelName } = await getChannelDetails(channelId);
+            await pool.query('UPDATE messages SET channel_name = $2 WHERE channel_id = $1', [channelId, channelName]);
+        } catch (error) {
+            if (error.retryAfter) {
+                throw error;
+            }
+            // Channels we were removed from can't be looked up, keep showing their ID
+            console.error(`Error resolving name of channel ${channelId}:`, error.data?.error || error.message);
+        }
+    }
+}
+
+// Jobs that still have to run before the messages of a channel are searchable
+async function countOutstandingMessageJobs(channelId) {
+    const result = await pool.query(`
+        SELECT COUNT(*)::int AS outstanding FROM jobs
+        WHERE type IN ('process_message', 'embed_message')
+          AND status IN ('pending', 'running')
+          AND payload->>'channelId' = $1
+    `, [channelId]);
+    return result.rows[0].outstanding;
+}
+
+// Tell the channel its history is learnt, once every message has been processed and embedded.
+// Processing a message queues its embed job, so this checks again until neither is left
+async function notifyBackfillComplete({ channelId }) {
+    if (await countOutstandingMessageJobs(channelId) > 0) {
+        await enqueueJob('notify_backfill_complete', { channelId }, {
+            runAt: new Date(Date.now() + BACKFILL_NOTIFY_RECHECK_SECONDS * 1000)
+        });
+        return;
+    }
+    await slack.chat.postMessage({
+        channel: channelId,
+        blocks: formatMessageWithBlocks(`OK! I have learnt all there is to learn from this channel! Ask me anything by tagging me!`)
+    });
+}
+
+registerJobHandler('backfill_channel', backfillChannel);
+registerJobHandler('process_message', processMessageJob);
+registerJobHandler('embed_message', embedMessageJob);
+registerJobHandler('rebuild_thread', rebuildThreadJob);
+registerJobHandler('notify_backfill_complete', notifyBackfillComplete);
+registerJobHandler('resolve_channel_names', resolveChannelNames);
+
+module.exports = {
+    enqueueChannelBackfill,
+    enqueueChannelNameBackfill,
+    enqueueLiveMessage,
+    enqueueMessageChange
+};
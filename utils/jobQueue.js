@@ -0,0 +1,179 @@
+const { pool } = require('./db');
+
+const handlers = {};
+let running = false;
+let wakeUp = null;
+
+// Jobs locked longer than this are assumed to belong to a dead worker and are picked up again
+const LOCK_TIMEOUT_MINUTES = parseInt(process.env.JOB_LOCK_TIMEOUT_MINUTES || '30', 10);
+const POLL_INTERVAL_MS = parseInt(process.env.JOB_POLL_INTERVAL_MS || '5000', 10);
+const MAX_BACKOFF_SECONDS = 60 * 60;
+// Failed jobs are kept this long for inspection
+const FAILED_JOB_RETENTION_DAYS = parseInt(process.env.JOB_FAILED_RETENTION_DAYS || '7', 10);
+// Due jobs run highest priority first, so new Slack messages aren't stuck behind a backfill
+// or a Notion or Drive crawl
+const JOB_PRIORITY = { live: 10, normal: 0, sync: -10 };
+
+// Register the function that runs jobs of a given type
+function registerJobHandler(type, handler) {
+    handlers[type] = handler;
+}
+
+// Add a job to the queue. Jobs sharing a dedupeKey are only queued once while pending or running
+async function enqueueJob(type, payload = {}, { runAt = null, dedupeKey = null, maxAttempts = 5, priority = JOB_PRIORITY.normal } = {}) {
+    try {
+        const result = await pool.query(`
+            INSERT INTO jobs (type, payload, run_at, dedupe_key, max_attempts, priority)
+            VALUES ($1, $2, COALESCE($3, NOW()), $4, $5, $6)
+            ON CONFLICT (dedupe_key) WHERE status IN ('pending', 'running') DO NOTHING
+            RETURNING id;
+        `, [type, payload, runAt, dedupeKey, maxAttempts, priority]);
+        if (wakeUp) wakeUp();
+        return result.rows[0]?.id || null;
+    } catch (error) {
+        console.error('Error enqueueing job:', error);
+        throw error;
+    }
+}
+
+// Lock the next due job for this worker
+async function claimNextJob() {
+    const result = await pool.query(`
+        UPDATE jobs
+        SET status = 'running', locked_at = NOW(), attempts = attempts + 1, updated_at = NOW()
+        WHERE id = (
+            SELECT id FROM jobs
+            WHERE (status = 'pending' AND run_at <= NOW())
+               OR (status = 'running' AND locked_at < NOW() - make_interval(mins => $1))
+            ORDER BY priority DESC, run_at, id
+            FOR UPDATE SKIP LOCKED
+            LIMIT 1
+        )
+        RETURNING *;
+    `, [LOCK_TIMEOUT_MINUTES]);
+    return result.rows[0] || null;
+}
+
+// Finished jobs are deleted, their payloads can hold whole threads with link and file content
+async function completeJob(job) {
+    await pool.query('DELETE FROM jobs WHERE id = $1', [job.id]);
+}
+
+// Delete failed jobs past FAILED_JOB_RETENTION_DAYS, and done ones left from before they were deleted
+async function purgeFailedJobs() {
+    const result = await pool.query(
+        "DELETE FROM jobs WHERE status IN ('failed', 'done') AND updated_at < NOW() - make_interval(days => $1)",
+        [FAILED_JOB_RETENTION_DAYS]
+    );
+    if (result.rowCount > 0) {
+        console.log(`Purged ${result.rowCount} old jobs`);
+    }
+}
+
+// Reschedule a failed job with exponential backoff, or honour the Retry-After of a rate limited call
+async function failJob(job, error) {
+    if (error.retryAfter) {
+        // Rate limits are not the job's fault, do not count the attempt
+        await pool.query(`
+            UPDATE jobs
+            SET status = 'pending', locked_at = NULL, attempts = attempts - 1, last_error = $2,
+                run_at = NOW() + make_interval(secs => $3), updated_at = NOW()
+            WHERE id = $1
+        `, [job.id, error.message, error.retryAfter]);
+        console.log(`Job ${job.id} (${job.type}) rate limited, retrying in ${error.retryAfter}s`);
+        return;
+    }
+
+    if (job.attempts >= job.max_attempts) {
+        await pool.query(
+            "UPDATE jobs SET status = 'failed', locked_at = NULL, last_error = $2, updated_at = NOW() WHERE id = $1",
+            [job.id, error.message]
+        );
+        console.error(`Job ${job.id} (${job.type}) failed permanently:`, error);
+        return;
+    }
+
+    const backoffSeconds = Math.min(30 * Math.pow(2, job.attempts - 1), MAX_BACKOFF_SECONDS);
+    await pool.query(`
+        UPDATE jobs
+        SET status = 'pending', locked_at = NULL, last_error = $2,
+            run_at = NOW() + make_interval(secs => $3), updated_at = NOW()
+        WHERE id = $1
+    `, [job.id, error.message, backoffSeconds]);
+    console.error(`Job ${job.id} (${job.type}) failed, retrying in ${backoffSeconds}s:`, error);
+}
+
+// Run a single job through its handler
+async function runJob(job) {
+    const handler = handlers[job.type];
+    if (!handler) {
+        await failJob({ ...job, attempts: job.max_attempts }, new Error(`No handler registered for job type ${job.type}`));
+        return;
+    }
+
+    try {
+        await handler(job.payload, job);
+        await completeJob(job);
+    } catch (error) {
+        await failJob(job, error);
+    }
+}
+
+// Sleep until the poll interval elapses or a new job is enqueued
+function waitForWork() {
+    return new Promise(resolve => {
+        const timer = setTimeout(done, POLL_INTERVAL_MS);
+        function done() {
+            clearTimeout(timer);
+            wakeUp = null;
+            resolve();
+        }
+        wakeUp = done;
+    });
+}
+
+// Process jobs until stopWorker is called
+async function startWorker() {
+    if (running) return;
+    running = true;
+
+    // Jobs whose lock expired were left running by a dead process and are resumed right away.
+    // Other running jobs may belong to another worker that is still busy with them
+    const recovered = await pool.query(`
+        UPDATE jobs SET status = 'pending', locked_at = NULL, updated_at = NOW()
+        WHERE status = 'running' AND locked_at < NOW() - make_interval(mins => $1)
+        RETURNING id
+    `, [LOCK_TIMEOUT_MINUTES]);
+    console.log(`Job worker started, recovered ${recovered.rowCount} interrupted jobs`);
+
+    const purge = () => purgeFailedJobs().catch(error => console.error('Error purging old jobs:', error));
+    await purge();
+    setInterval(purge, 60 * 60 * 1000).unref();
+
+    while (running) {
+        try {
+            const job = await claimNextJob();
+            if (job) {
+                await runJob(job);
+            } else {
+                await waitForWork();
+            }
+        } catch (error) {
+            console.error('Error in job worker:', error);
+            await waitForWork();
+        }
+    }
+}
+
+function stopWorker() {
+    running = false;
+    if (wakeUp) wakeUp();
+}
+
+module.exports = {
+    JOB_PRIORITY,
+    registerJobHandler,
+    enqueueJob,
+    startWorker,
+    stopWorker
+};
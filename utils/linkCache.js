@@ -0,0 +1,53 @@
+const { pool } = require('./db');
+
+// A cached link is trusted without checking its revision for this long
+const LINK_CACHE_CHECK_MINUTES = parseInt(process.env.LINK_CACHE_CHECK_MINUTES || '10', 10);
+// Links without a revision marker, e.g. Granola notes, are fetched again after this long
+const LINK_CACHE_TTL_HOURS = parseInt(process.env.LINK_CACHE_TTL_HOURS || '24', 10);
+// Failed links whose revision hasn't changed are not retried for this long
+const LINK_CACHE_ERROR_RETRY_MINUTES = parseInt(process.env.LINK_CACHE_ERROR_RETRY_MINUTES || '60', 10);
+
+async function getCachedLink(url) {
+    const result = await pool.query('SELECT * FROM link_cache WHERE url = $1', [url]);
+    return result.rows[0] || null;
+}
+
+// Whether a cache entry can be used without fetching the link again. getRevision returns null
+// when the link has no revision marker and is only called once the entry is older than
+// LINK_CACHE_CHECK_MINUTES. Errors are never trusted by age alone: they are served again only
+// while the link's revision is unchanged, and failed links without a revision are always retried
+async function isCacheFresh(entry, getRevision) {
+    const ageMinutes = (Date.now() - new Date(entry.fetched_at).getTime()) / (60 * 1000);
+    if (entry.error) {
+        if (!entry.revision || ageMinutes >= LINK_CACHE_ERROR_RETRY_MINUTES) {
+            return false;
+        }
+        return await getRevision() === entry.revision;
+    }
+    if (ageMinutes < LINK_CACHE_CHECK_MINUTES) {
+        return true;
+    }
+
+    const revision = await getRevision();
+    if (revision) {
+        return revision === entry.revision;
+    }
+    return ageMinutes < LINK_CACHE_TTL_HOURS * 60;
+}
+
+// Store the processed content of a link, or the error it failed with
+async function saveCachedLink(url, { content = null, summary = null, revision = null, error = null }) {
+    await pool.query(`
+        INSERT INTO link_cache (url, content, summary, revision, fetched_at, error)
+        VALUES ($1, $2, $3, $4, NOW(), $5)
+        ON CONFLICT (url) DO UPDATE
+        SET content = EXCLUDED.content, summary = EXCLUDED.summary, revision = EXCLUDED.revision,
+            fetched_at = NOW(), error = EXCLUDED.error;
+    `, [url, content, summary, revision, error]);
+}
+
+module.exports = {
+    getCachedLink,
+    isCacheFresh,
+    saveCachedLink
+};
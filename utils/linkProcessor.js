@@ -1,20 +1,21 @@
 const { Client } = require('@notionhq/client');
-const { chromium } = require('playwright');
 const { google } = require('googleapis');
 const { marked } = require('marked');
 const cheerio = require('cheerio');
-const OpenAI = require('openai');
-const { Anthropic } = require('@anthropic-ai/sdk');
 const express = require('express');
 const router = express.Router();
 const { WebClient } = require('@slack/web-api');
 const fetch = require('node-fetch');
 const sharp = require('sharp');
+const { recordLinkFailure } = require('./activityLog');
+const { complete } = require('./llm');
+const { extractNotionPageId, renderNotionPage, pageTitle } = require('./notionRenderer');
+const { extractDriveFileText } = require('./driveContent');
+const { getCachedLink, isCacheFresh, saveCachedLink } = require('./linkCache');
+const { fetchPage } = require('./browserPool');
 
 // Initialize clients
 const notion = new Client({ auth: process.env.NOTION_TOKEN });
-const anthropic = new Anthropic({ apiKey: process.env.ANTHROPIC_API_KEY });
-const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
 const slack = new WebClient(process.env.SLACK_BOT_OAUTH);
 
 // Initialize Google Drive client
@@ -25,13 +26,167 @@ const auth = new google.auth.GoogleAuth({
 
 const drive = google.drive({ version: 'v3', auth });
 
+// Inline databases with more rows than this are cut off, each batch of rows is one LLM call
+const NOTION_DATABASE_MAX_ROWS = parseInt(process.env.NOTION_DATABASE_MAX_ROWS || '200', 10);
+const NOTION_DATABASE_BATCH_SIZE = 20;
+
 // Helper function to extract links from text
 function extractLinks(text, attachments) {
     if(!text) {
         return [];
     }
-    const urlRegex = /(https?:\/\/[0-9a-zA-Z\-\.\/\_]+)/g;
-    return text.match(urlRegex) || [];
+    // Slack sends links as <url|label> and escapes &, < and > in message text, so
+    // unwrap the links and decode the entities before they end up in the URLs
+    const decoded = text
+        .replace(/<(https?:\/\/[^|>\s]+)(?:\|[^>]*)?>/g, ' $1 ')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&amp;/g, '&');
+    // Query strings and fragments are kept, Notion puts the page ID in ?p= for pages opened from a database
+    const urlRegex = /(https?:\/\/[0-9a-zA-Z\-\.\/\_?=&#%~+]+)/g;
+    return decoded.match(urlRegex) || [];
+}
+
+// Plain text value of a database property
+function notionPropertyValue(prop) {
+    switch (prop.type) {
+        case 'title':
+            return prop.title.map(t => t.plain_text).join('');
+        case 'rich_text':
+            return prop.rich_text.map(t => t.plain_text).join('');
+        case 'number':
+            return prop.number?.toString() || '';
+        case 'select':
+            return prop.select?.name || '';
+        case 'status':
+            return prop.status?.name || '';
+        case 'multi_select':
+            return prop.multi_select.map(s => s.name).join(', ');
+        case 'date':
+            return prop.date ? `${prop.date.start}${prop.date.end ? ` to ${prop.date.end}` : ''}` : '';
+        case 'people':
+            return prop.people.map(p => p.name).join(', ');
+        case 'files':
+            return prop.files.map(f => f.name).join(', ');
+        case 'checkbox':
+            return prop.checkbox ? 'Yes' : 'No';
+        case 'url':
+            return prop.url || '';
+        case 'email':
+            return prop.email || '';
+        case 'phone_number':
+            return prop.phone_number || '';
+        case 'formula':
+            return prop.formula?.string || prop.formula?.number?.toString() || '';
+        case 'relation':
+            return prop.relation.map(r => r.id).join(', ');
+        case 'rollup':
+            return prop.rollup?.string || prop.rollup?.number?.toString() || '';
+        case 'created_time':
+            return prop.created_time;
+        case 'created_by':
+            return prop.created_by.name;
+        case 'last_edited_time':
+            return prop.last_edited_time;
+        case 'last_edited_by':
+            return prop.last_edited_by.name;
+        default:
+            return '';
+    }
+}
+
+// Summarize the items of an inline database, one sentence per item. Items are summarized a batch
+// at a time and only the first NOTION_DATABASE_MAX_ROWS are read
+async function renderNotionDatabase(block, page) {
+    try {
+        const database = await notion.databases.retrieve({ database_id: block.id });
+        const propertyNames = Object.keys(database.properties);
+        const title = database.title[0]?.plain_text || 'Untitled';
+
+        let dbContent = `[Database: ${title}\n`;
+        dbContent += `Properties: ${propertyNames.join(', ')}\n\n`;
+
+        const items = [];
+        let truncated = false;
+        let cursor;
+        do {
+            const databaseQuery = await notion.databases.query({ database_id: block.id, start_cursor: cursor });
+            for (const item of databaseQuery.results) {
+                if (items.length === NOTION_DATABASE_MAX_ROWS) {
+                    truncated = true;
+                    break;
+                }
+                const itemData = {};
+                for (const propName of propertyNames) {
+                    itemData[propName] = item.properties[propName] ? notionPropertyValue(item.properties[propName]) : '';
+                }
+                items.push(itemData);
+            }
+            cursor = databaseQuery.has_more && !truncated ? databaseQuery.next_cursor : undefined;
+        } while (cursor);
+
+        for (let start = 0; start < items.length; start += NOTION_DATABASE_BATCH_SIZE) {
+            const batch = items.slice(start, start + NOTION_DATABASE_BATCH_SIZE);
+            const batchSummary = await complete('row-summary', {
+                maxTokens: 100 * batch.length,
+                messages: [{
+                    role: "user",
+                    content: `Using the property names as context, summarize each of these database items in one concise sentence, one line per item and in the same order. Make sure to reference the property names in your summaries and mention they are from a database in the Notion page:\nPage: ${pageTitle(page)}\nProperties: ${propertyNames.join(', ')}\nItems: ${JSON.stringify(batch, null, 2)}`
+                }]
+            });
+            dbContent += `${batchSummary.trim()}\n`;
+        }
+        if (truncated) {
+            dbContent += `Only the first ${NOTION_DATABASE_MAX_ROWS} items of this database are included.\n`;
+        }
+
+        return `${dbContent}]`;
+    } catch (error) {
+        console.error('Error processing database:', error);
+        return `[Error processing database: ${error.message}]`;
+    }
+}
+
+// Describe an image block so its content is searchable
+async function renderNotionImage(block) {
+    const imageUrl = block.image.file?.url || block.image.external?.url;
+    if (!imageUrl) {
+        return '';
+    }
+    // Get the image element and convert to base64 once it has loaded
+    const base64Image = await fetchPage(imageUrl, page => page.evaluate(() => {
+        const img = document.querySelector('img');
+        const canvas = document.createElement('canvas');
+        const ctx = canvas.getContext('2d');
+        canvas.width = img.width;
+        canvas.height = img.height;
+        ctx.drawImage(img, 0, 0);
+        return canvas.toDataURL('image/jpeg').split(',')[1];
+    }), { waitUntil: 'load', allowImages: true });
+
+    // o-series models count their reasoning against the limit, leave room for the description
+    const description = await complete('describe-notion-image', {
+        maxTokens: 4000,
+        messages: [
+            {
+                role: "user",
+                content: [
+                    { type: "text", text: "Describe this image in detail:" },
+                    { type: "image", mediaType: "image/jpeg", data: base64Image }
+                ]
+            }
+        ],
+    });
+    return `[Image Description: ${description}]`;
+}
+
+// Render a Notion page with all of its nested blocks as Markdown
+async function fetchNotionPage(pageId) {
+    const { page, title, markdown } = await renderNotionPage(notion, pageId, {
+        child_database: renderNotionDatabase,
+        image: renderNotionImage
+    });
+    return { page, title, content: markdown };
 }
 
 // Process Notion links
@@ -41,205 +196,13 @@ async function processNotionLink(url) {
             throw new Error('Notion OAuth is not configured');
         }
 
-        const pageId = url.split('-').pop().split('?')[0].replace(">", "").replace("<", "");
+        const pageId = extractNotionPageId(url);
         try {
-            const page = await notion.pages.retrieve({ page_id: pageId });
-            const title = page.properties.title?.title[0]?.plain_text || 'Untitled';
-            const blocks = await notion.blocks.children.list({ block_id: pageId });
-            
-            let content = '';
-            for (const block of blocks.results) {
-                if (block.type === 'paragraph') {
-                    content += block.paragraph.rich_text.map(text => text.plain_text).join('') + '\n';
-                } else if (block.type === 'table') {
-                    // Get table rows
-                    const tableRows = await notion.blocks.children.list({ block_id: block.id });
-                    let tableContent = '';
-                    let rowCount = 0;
-                    
-                    // Get header row for context
-                    const headerRow = tableRows.results[0];
-                    const headers = headerRow.table_row.cells.map(cell => 
-                        cell.map(text => text.plain_text).join('')
-                    );
-                    
-                    // Process each row (skip header)
-                    for (let i = 1; i < tableRows.results.length; i++) {
-                        const row = tableRows.results[i];
-                        if (row.type === 'table_row') {
-                            const cells = row.table_row.cells.map(cell => 
-                                cell.map(text => text.plain_text).join('')
-                            );
-                            
-                            // Create a row object with headers
-                            const rowData = {};
-                            headers.forEach((header, index) => {
-                                rowData[header] = cells[index];
-                            });
-                            
-                            // Generate summary for the row
-                            const rowSummary = await anthropic.messages.create({
-                                model: "claude-3-5-sonnet-20240620",
-                                max_tokens: 100,
-                                messages: [{
-                                    role: "user",
-                                    content: `Using the column titles as context, summarize this table row in one concise sentence. Make sure to reference the column titles in your summary and mention this is from a table in the Notion page:\nPage: ${page.properties.title?.title[0]?.plain_text || 'Untitled'}\nColumns: ${headers.join(', ')}\nRow Data: ${JSON.stringify(rowData, null, 2)}`
-                                }]
-                            });
-                            
-                            tableContent += `${rowSummary.content[0].text}\n`;
-                            rowCount++;
-                        }
-                    }
-                    
-                    // Add table summary
-                    content += `[Table with ${rowCount} rows:\n${tableContent}]\n`;
-                } else if (block.type === 'child_database') {
-                    // Handle database
-                    try {
-                        const database = await notion.databases.retrieve({ database_id: block.id });
-                        const databaseQuery = await notion.databases.query({ database_id: block.id });
-                        
-                        // Get property names from database schema
-                        const propertyNames = Object.keys(database.properties);
-                        
-                        // Format database content
-                        let dbContent = `[Database: ${database.title[0]?.plain_text || 'Untitled'}\n`;
-                        dbContent += `Properties: ${propertyNames.join(', ')}\n\n`;
-                        
-                        // Process each page in the database
-                        for (const page of databaseQuery.results) {
-                            let pageData = {};
-                            for (const propName of propertyNames) {
-                                const prop = page.properties[propName];
-                                let value = '';
-                                
-                                // Handle different property types
-                                switch (prop.type) {
-                                    case 'title':
-                                        value = prop.title.map(t => t.plain_text).join('');
-                                        break;
-                                    case 'rich_text':
-                                        value = prop.rich_text.map(t => t.plain_text).join('');
-                                        break;
-                                    case 'number':
-                                        value = prop.number?.toString() || '';
-                                        break;
-                                    case 'select':
-                                        value = prop.select?.name || '';
-                                        break;
-                                    case 'multi_select':
-                                        value = prop.multi_select.map(s => s.name).join(', ');
-                                        break;
-                                    case 'date':
-                                        value = prop.date ? `${prop.date.start}${prop.date.end ? ` to ${prop.date.end}` : ''}` : '';
-                                        break;
-                                    case 'people':
-                                        value = prop.people.map(p => p.name).join(', ');
-                                        break;
-                                    case 'files':
-                                        value = prop.files.map(f => f.name).join(', ');
-                                        break;
-                                    case 'checkbox':
-                                        value = prop.checkbox ? 'Yes' : 'No';
-                                        break;
-                                    case 'url':
-                                        value = prop.url || '';
-                                        break;
-                                    case 'email':
-                                        value = prop.email || '';
-                                        break;
-                                    case 'phone_number':
-                                        value = prop.phone_number || '';
-                                        break;
-                                    case 'formula':
-                                        value = prop.formula?.string || prop.formula?.number?.toString() || '';
-                                        break;
-                                    case 'relation':
-                                        value = prop.relation.map(r => r.id).join(', ');
-                                        break;
-                                    case 'rollup':
-                                        value = prop.rollup?.string || prop.rollup?.number?.toString() || '';
-                                        break;
-                                    case 'created_time':
-                                        value = prop.created_time;
-                                        break;
-                                    case 'created_by':
-                                        value = prop.created_by.name;
-                                        break;
-                                    case 'last_edited_time':
-                                        value = prop.last_edited_time;
-                                        break;
-                                    case 'last_edited_by':
-                                        value = prop.last_edited_by.name;
-                                        break;
-                                }
-                                
-                                pageData[propName] = value;
-                            }
-                            
-                            // Generate summary for the database item
-                            const itemSummary = await anthropic.messages.create({
-                                model: "claude-3-5-sonnet-20240620",
-                                max_tokens: 100,
-                                messages: [{
-                                    role: "user",
-                                    content: `Using the property names as context, summarize this database item in one concise sentence. Make sure to reference the property names in your summary and mention this is from a database in the Notion page:\nPage: ${page.properties.title?.title[0]?.plain_text || 'Untitled'}\nProperties: ${propertyNames.join(', ')}\nItem Data: ${JSON.stringify(pageData, null, 2)}`
-                                }]
-                            });
-                            
-                            dbContent += `${itemSummary.content[0].text}\n`;
-                        }
-                        
-                        dbContent += `]\n`;
-                        content += dbContent;
-                    } catch (error) {
-                        console.error('Error processing database:', error);
-                        content += `[Error processing database: ${error.message}]\n`;
-                    }
-                } else if (block.type === 'image') {
-                    // Process image with OpenAI
-                    const imageUrl = block.image.file?.url || block.image.external?.url;
-                    if (imageUrl) {
-                        const browser = await chromium.launch();
-                        const context = await browser.newContext();
-                        const page = await context.newPage();
-                        await page.goto(imageUrl);
-                        // Wait for 3 seconds to ensure image loads
-                        await page.waitForTimeout(3000);
-                        
-                        // Get the image element and convert to base64
-                        const base64Image = await page.evaluate(async () => {
-                            const img = document.querySelector('img');
-                            const canvas = document.createElement('canvas');
-                            const ctx = canvas.getContext('2d');
-                            canvas.width = img.width;
-                            canvas.height = img.height;
-                            ctx.drawImage(img, 0, 0);
-                            return canvas.toDataURL('image/jpeg').split(',')[1];
-                        });
-
-                        await browser.close();
-                        const response = await openai.chat.completions.create({
-                            model: "o4-mini",
-                            messages: [
-                                {
-                                    role: "user",
-                                    content: [
-                                        { type: "text", text: "Describe this image in detail:" },
-                                        { type: "image_url", image_url: { url: `data:image/jpeg;base64,${base64Image}` } }
-                                    ]
-                                }
-                            ],
-                        });
-                        content += `[Image Description: ${response.choices[0].message.content}]\n`;
-                    }
-                }
-            }
-            // Generate summary using Claude
-            const summary = await anthropic.messages.create({
-                model: "claude-3-5-sonnet-20240620",
-                max_tokens: 300,
+            const { content } = await fetchNotionPage(pageId);
+
+            // Generate summary
+            const summary = await complete('summarize', {
+                maxTokens: 300,
                 messages: [{
                     role: "user",
                     content: `Summarize the key points from this content in a concise paragraph:\n${content}`
@@ -248,7 +211,7 @@ async function processNotionLink(url) {
 
             return {
                 content: content,
-                summary: summary.content[0].text
+                summary: summary
             };
         } catch (apiError) {
             if (apiError.code === 'unauthorized' || apiError.message.includes('API token is invalid')) {
@@ -282,46 +245,13 @@ async function processGoogleDriveLink(url) {
                 supportsAllDrives: true
             });
 
-            let content = '';
             const title = file.data.name;
+            const content = await extractDriveFileText(drive, { id: fileId, mimeType: file.data.mimeType })
+                ?? 'Note: This file type cannot be directly exported. Please check the file in Google Drive.';
 
-            // Process based on file type
-            switch (file.data.mimeType) {
-                case 'application/vnd.google-apps.document':
-                    const doc = await drive.files.export({
-                        fileId,
-                        mimeType: 'text/plain',
-                        supportsAllDrives: true
-                    });
-                    content = doc.data;
-                    break;
-
-                case 'application/vnd.google-apps.spreadsheet':
-                    const sheet = await drive.files.export({
-                        fileId,
-                        mimeType: 'text/csv',
-                        supportsAllDrives: true
-                    });
-                    content = sheet.data;
-                    break;
-
-                case 'application/vnd.google-apps.presentation':
-                    const slides = await drive.files.export({
-                        fileId,
-                        mimeType: 'text/plain',
-                        supportsAllDrives: true
-                    });
-                    content = slides.data;
-                    break;
-
-                default:
-                    content = 'Note: This file type cannot be directly exported. Please check the file in Google Drive.';
-            }
-
-            // Generate a summary using Claude
-            const summary = await anthropic.messages.create({
-                model: "claude-3-5-sonnet-20240620",
-                max_tokens: 300,
+            // Generate a summary
+            const summary = await complete('summarize', {
+                maxTokens: 300,
                 messages: [{
                     role: "user", 
                     content: `Summarize the key points from this Google Drive content in a concise paragraph:\n${content}`
@@ -330,7 +260,7 @@ async function processGoogleDriveLink(url) {
 
             return {
                 content: content,
-                summary: title + " : " + summary.content[0].text
+                summary: title + " : " + summary
             };
         } catch (error) {
             // Check for specific permission errors
@@ -359,95 +289,78 @@ async function processGoogleDriveLink(url) {
 // Process external website links
 async function processExternalLink(url) {
     try {
-        const browser = await chromium.launch();
-        const context = await browser.newContext();
-        const page = await context.newPage();
-        const title = await page.evaluate(() => {
-            return document.querySelector('title').textContent;
-        });
-        
-        try {
-            await page.goto(url, { 
-                waitUntil: 'networkidle',
-                timeout: 30000 // 30 second timeout
-            });
-        } catch (navigationError) {
-            console.error('Navigation error:', navigationError);
-            throw new Error(`Failed to load the webpage: ${navigationError.message}`);
-        }
-        
-        // Find the section with highest text density
-        const content = await page.evaluate(() => {
-            // Remove unwanted elements
-            const removeSelectors = [];
-            /*[
-                'script', 'style', 'nav', 'header', 'footer', 
-                'aside', 'iframe', 'noscript', 'svg', 'form',
-                'button', 'input', 'select', 'textarea'
-            ];*/
-            removeSelectors.forEach(selector => {
-                document.querySelectorAll(selector).forEach(el => el.remove());
-            });
-
-            // Function to calculate text score of an element
-            function getTextScore(element) {
-                const text = element.textContent.trim();
-                if (!text) return 0;
+        const { title, content } = await fetchPage(url, async (page) => ({
+            title: await page.title() || 'Untitled',
+            // Find the section with highest text density
+            content: await page.evaluate(() => {
+                // Remove unwanted elements
+                const removeSelectors = [];
+                /*[
+                    'script', 'style', 'nav', 'header', 'footer', 
+                    'aside', 'iframe', 'noscript', 'svg', 'form',
+                    'button', 'input', 'select', 'textarea'
+                ];*/
+                removeSelectors.forEach(selector => {
+                    document.querySelectorAll(selector).forEach(el => el.remove());
+                });
+
+                // Function to calculate text score of an element
+                function getTextScore(element) {
+                    const text = element.textContent.trim();
+                    if (!text) return 0;
                 
-                const rect = element.getBoundingClientRect();
-                const area = rect.width * rect.height;
-                if (area === 0) return 0;
+                    const rect = element.getBoundingClientRect();
+                    const area = rect.width * rect.height;
+                    if (area === 0) return 0;
                 
-                // Count words (rough estimate)
-                const wordCount = text.split(/\s+/).length;
+                    // Count words (rough estimate)
+                    const wordCount = text.split(/\s+/).length;
                 
-                // Skip sections with less than 50 words
-                if (wordCount < 50) return 0;
+                    // Skip sections with less than 50 words
+                    if (wordCount < 50) return 0;
                 
-                // Calculate density (words per pixel)
-                const density = wordCount / area;
+                    // Calculate density (words per pixel)
+                    const density = wordCount / area;
                 
-                // Calculate length score (logarithmic scale to prevent extremely long texts from dominating)
-                const lengthScore = Math.log(wordCount + 1);
+                    // Calculate length score (logarithmic scale to prevent extremely long texts from dominating)
+                    const lengthScore = Math.log(wordCount + 1);
                 
-                // Combine density and length scores
-                // We multiply them to favor sections that are both dense and long
-                return density * lengthScore;
-            }
+                    // Combine density and length scores
+                    // We multiply them to favor sections that are both dense and long
+                    return density * lengthScore;
+                }
 
-            // Get all potential content containers
-            const containers = Array.from(document.querySelectorAll('div, article, section, main'));
+                // Get all potential content containers
+                const containers = Array.from(document.querySelectorAll('div, article, section, main'));
             
-            // Find container with highest text score
-            let bestContainer = null;
-            let highestScore = 0;
+                // Find container with highest text score
+                let bestContainer = null;
+                let highestScore = 0;
             
-            containers.forEach(container => {
-                const score = getTextScore(container);
-                if (score > highestScore) {
-                    highestScore = score;
-                    bestContainer = container;
+                containers.forEach(container => {
+                    const score = getTextScore(container);
+                    if (score > highestScore) {
+                        highestScore = score;
+                        bestContainer = container;
+                    }
+                });
+
+                // If no good container found, try the body
+                if (!bestContainer || highestScore < 0.0001) {
+                    bestContainer = document.body;
                 }
-            });
+                // Get the text content
+                return bestContainer.textContent.trim();
+            })
+        }), { waitUntil: 'networkidle' });
 
-            // If no good container found, try the body
-            if (!bestContainer || highestScore < 0.0001) {
-                bestContainer = document.body;
-            }
-            // Get the text content
-            return bestContainer.textContent.trim();
-        });
-        
-        await browser.close();
-        
         if (!content || content.trim().length === 0) {
             throw new Error('No meaningful content found on the webpage');
         }
 
-        // Generate a summary using Claude
-        const summary = await anthropic.messages.create({
-            model: "claude-3-5-sonnet-20240620",
-            max_tokens: 300,
+        // Generate a summary
+        const summary = await complete('summarize', {
+            maxTokens: 300,
             messages: [{
                 role: "user", 
                 content: `Summarize the key points from this content in a concise paragraph:\n${content}`
@@ -456,7 +369,7 @@ async function processExternalLink(url) {
 
         return {
             content: content,
-            summary: title + " : " + summary.content[0].text
+            summary: title + " : " + summary
         };
     } catch (error) {
         console.error('Error processing external link:', error);
@@ -477,33 +390,30 @@ function limitContent(content) {
     return words.slice(0, maxWords).join(' ').replace(/\n/g, '.');
 }
 
-// Generate summary using OpenAI
+// Generate a short summary
 async function generateSummary(content) {
     try {
         // Limit content to stay within token limits
         const limitedContent = limitContent(content);
         
-        const response = await openai.chat.completions.create({
-            model: "o4-mini",
+        // o-series models count their reasoning against the limit, leave room for the summary
+        return await complete('short-summary', {
+            system: "You are a helpful assistant that creates concise summaries.",
+            maxTokens: 4000,
             messages: [
-                {
-                    role: "system",
-                    content: "You are a helpful assistant that creates concise summaries."
-                },
                 {
                     role: "user",
                     content: `Please provide a concise 3-4 sentence summary of the following content:\n\n${limitedContent}`
                 }
             ],
         });
-        return response.choices[0].message.content;
     } catch (error) {
         console.error('Error generating summary:', error);
         throw error;
     }
 }
 
-// Process image with Claude Vision
+// Process image with the describe-image model
 async function processImage(url) {
     try {
         // Extract file ID from the URL (format: .../T5UN5PGMT-F0901R23DU6/download/image.png)
@@ -555,10 +465,9 @@ async function processImage(url) {
 
         const base64Image = processedImageBuffer.toString('base64');
 
-        // Get image description from Claude
-        const claudeResponse = await anthropic.messages.create({
-            model: "claude-3-5-sonnet-20240620",
-            max_tokens: 300,
+        // Get image description
+        const description = await complete('describe-image', {
+            maxTokens: 300,
             messages: [{
                 role: "user",
                 content: [
@@ -568,21 +477,16 @@ async function processImage(url) {
                     },
                     {
                         type: "image",
-                        source: {
-                            type: "base64",
-                            media_type: "image/jpeg",
-                            data: base64Image
-                        }
+                        mediaType: "image/jpeg",
+                        data: base64Image
                     }
                 ]
             }]
         });
 
-        const description = claudeResponse.content[0].text;
-        // Generate a concise summary using Claude
-        const summary = await anthropic.messages.create({
-            model: "claude-3-5-sonnet-20240620",
-            max_tokens: 100,
+        // Generate a concise summary
+        const summary = await complete('summarize', {
+            maxTokens: 100,
             messages: [{
                 role: "user",
                 content: `Create a concise one-sentence summary of this image description:\n${description}`
@@ -590,7 +494,7 @@ async function processImage(url) {
         });
         return {
             content: description,
-            summary: summary.content[0].text
+            summary: summary
         };
     } catch (error) {
         console.error('Error processing image:', error);
@@ -598,28 +502,20 @@ async function processImage(url) {
     }
 }
 
-// Process PDF with OpenAI
+// Process PDF
 async function processPDF(url) {
     try {
-        const browser = await chromium.launch();
-        const context = await browser.newContext();
-        const page = await context.newPage();
-        await page.goto(url);
-        
-        // Wait for PDF to load
-        await page.waitForTimeout(3000);
-        
-        // Extract text from PDF
-        const text = await page.evaluate(() => {
-            return document.body.innerText;
-        });
+        const text = await fetchPage(url, async (page) => {
+            // Wait for PDF to load
+            await page.waitForTimeout(3000);
 
-        await browser.close();
+            // Extract text from PDF
+            return await page.evaluate(() => document.body.innerText);
+        }, { waitUntil: 'load' });
 
-        // Generate a summary using Claude
-        const summary = await anthropic.messages.create({
-            model: "claude-3-5-sonnet-20240620",
-            max_tokens: 300,
+        // Generate a summary
+        const summary = await complete('summarize', {
+            maxTokens: 300,
             messages: [{
                 role: "user",
                 content: `Summarize the key points from this PDF content in a concise paragraph:\n${text}`
@@ -628,7 +524,7 @@ async function processPDF(url) {
 
         return {
             content: text,
-            summary: summary.content[0].text
+            summary: summary
         };
     } catch (error) {
         console.error('Error processing PDF:', error);
@@ -639,36 +535,19 @@ async function processPDF(url) {
 // Process Granola.ai links
 async function processGranolaLink(url) {
     try {
-        const browser = await chromium.launch();
-        const context = await browser.newContext();
-        const page = await context.newPage();
-        // Navigate to the URL and wait for network idle
-        await page.goto(url, { 
-            waitUntil: 'networkidle0',
-            timeout: 10000 // 10 second timeout
-        });
-        // Try to get the title first
-        let title = 'Untitled';
-        try {
-            title = await page.evaluate(() => {
-                return document.querySelector('title')?.textContent || 'Untitled';
-            });
-        } catch (titleError) {
-            console.warn('Error getting page title:', titleError);
-        }
-        // Extract the content
-        let content = await page.evaluate(() => document.body.innerHTML);
-        
-        await browser.close();
+        // Navigate to the URL and wait for network idle, the notes are rendered client side
+        const { title, content } = await fetchPage(url, async (page) => ({
+            title: await page.title() || 'Untitled',
+            content: await page.evaluate(() => document.body.innerHTML)
+        }), { waitUntil: 'networkidle' });
 
         if (!content || content.trim().length === 0) {
             throw new Error('No content could be extracted from the Granola.ai page');
         }
 
-        // Generate a summary using Claude
-        const summary = await anthropic.messages.create({
-            model: "claude-3-5-sonnet-20240620",
-            max_tokens: 300,
+        // Generate a summary
+        const summary = await complete('summarize', {
+            maxTokens: 300,
             messages: [{
                 role: "user",
                 content: `Summarize the key points from this content in a concise paragraph, remember to make sure you include any action items or next steps:\n${content}`
@@ -677,7 +556,7 @@ async function processGranolaLink(url) {
 
         return {
             content: content,
-            summary: title + " : " + summary.content[0].text
+            summary: title + " : " + summary
         };
     } catch (error) {
         console.error('Error processing Granola.ai link:', error);
@@ -685,20 +564,80 @@ async function processGranolaLink(url) {
     }
 }
 
-// Process link with enhanced file type detection
-async function processLink(url) {
-    console.log("Processing link : ", url);
+// Which processor handles a link
+function getLinkType(url) {
+    if (url.includes('notion.so') || url.includes('notion.site')) return 'notion';
+    if (url.includes('drive.google.com') || url.includes('docs.google.com')) return 'google_drive';
+    if (url.includes('granola.ai')) return 'granola';
+    return 'external';
+}
+
+// Revision marker of a link: Notion last_edited_time, Drive modifiedTime or the HTTP ETag.
+// Null when the link has none or it could not be read
+async function getLinkRevision(url) {
     try {
-        if (url.includes('notion.so')) {
+        switch (getLinkType(url)) {
+            case 'notion': {
+                const page = await notion.pages.retrieve({ page_id: extractNotionPageId(url) });
+                return page.last_edited_time;
+            }
+            case 'google_drive': {
+                const fileId = url.match(/\/d\/([a-zA-Z0-9-_]+)/)?.[1];
+                if (!fileId) return null;
+                const file = await drive.files.get({ fileId, fields: 'modifiedTime', supportsAllDrives: true });
+                return file.data.modifiedTime;
+            }
+            case 'external': {
+                const response = await fetch(url, { method: 'HEAD', timeout: 10000 });
+                return response.ok ? response.headers.get('etag') || response.headers.get('last-modified') : null;
+            }
+            default:
+                return null;
+        }
+    } catch (error) {
+        console.error(`Error reading revision of ${url}:`, error.message);
+        return null;
+    }
+}
+
+async function fetchLink(url) {
+    switch (getLinkType(url)) {
+        case 'notion':
             return await processNotionLink(url);
-        } else if (url.includes('drive.google.com') || url.includes('docs.google.com')) {
+        case 'google_drive':
             return await processGoogleDriveLink(url);
-        } else if (url.includes('granola.ai')) {
+        case 'granola':
             return await processGranolaLink(url);
-        } else {
+        default:
             return await processExternalLink(url);
+    }
+}
+
+// Process a link, serving the cached content and summary until the linked page changes.
+// { refresh: true } skips the cache, e.g. for the admin refresh endpoint
+async function processLink(url, { refresh = false } = {}) {
+    let revision;
+    const getRevision = async () => {
+        if (revision === undefined) revision = await getLinkRevision(url);
+        return revision;
+    };
+
+    const cached = refresh ? null : await getCachedLink(url);
+    if (cached && await isCacheFresh(cached, getRevision)) {
+        if (cached.error) {
+            throw new Error(cached.error);
         }
+        return { content: cached.content, summary: cached.summary };
+    }
+
+    console.log("Processing link : ", url);
+    try {
+        const { content, summary } = await fetchLink(url);
+        await saveCachedLink(url, { content, summary, revision: await getRevision() });
+        return { content, summary };
     } catch (error) {
+        await recordLinkFailure(url, error);
+        await saveCachedLink(url, { revision: await getRevision(), error: error.message });
         throw error;
     }
 }
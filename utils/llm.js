@@ -0,0 +1,214 @@
+const { Anthropic } = require('@anthropic-ai/sdk');
+const { OpenAI } = require('openai');
+
+// Default provider and model for each role, override with LLM_<ROLE>=provider:model
+// e.g. LLM_SUMMARIZE=local:llama3.1:8b or LLM_DESCRIBE_IMAGE=openai:o4-mini.
+// short-summary and describe-notion-image have always run on OpenAI
+const DEFAULT_ROLES = {
+    'answer': 'anthropic:claude-sonnet-4-20250514',
+    'summarize': 'anthropic:claude-3-5-sonnet-20240620',
+    'short-summary': 'openai:o4-mini',
+    'describe-image': 'anthropic:claude-3-5-sonnet-20240620',
+    'describe-notion-image': 'openai:o4-mini',
+    'row-summary': 'anthropic:claude-3-5-sonnet-20240620',
+    'rewrite': 'anthropic:claude-3-5-haiku-20241022'
+};
+
+// Resolve the provider and model configured for a role
+function getRoleConfig(role) {
+    if (!DEFAULT_ROLES[role]) {
+        throw new Error(`Unknown LLM role: ${role}`);
+    }
+    const setting = process.env[`LLM_${role.toUpperCase().replace(/-/g, '_')}`] || DEFAULT_ROLES[role];
+    const separator = setting.indexOf(':');
+    if (separator === -1) {
+        throw new Error(`LLM setting for ${role} must look like provider:model, got ${setting}`);
+    }
+    return {
+        provider: setting.slice(0, separator),
+        model: setting.slice(separator + 1)
+    };
+}
+
+// Message content is either a string or a list of { type: 'text', text } and { type: 'image', mediaType, data } parts
+function toParts(content) {
+    return typeof content === 'string' ? [{ type: 'text', text: content }] : content;
+}
+
+// Anthropic messages API
+function createAnthropicProvider() {
+    const anthropic = new Anthropic({ apiKey: process.env.ANTHROPIC_API_KEY });
+
+    function toAnthropicMessages(messages) {
+        return messages.map(message => ({
+            role: message.role,
+            content: toParts(message.content).map(part => part.type === 'image'
+                ? { type: 'image', source: { type: 'base64', media_type: part.mediaType, data: part.data } }
+                : { type: 'text', text: part.text })
+        }));
+    }
+
+    return {
+        async complete({ model, system, messages, maxTokens }) {
+            const response = await anthropic.messages.create({
+                model,
+                max_tokens: maxTokens,
+                ...(system ? { system } : {}),
+                messages: toAnthropicMessages(messages)
+            });
+            return response.content.filter(block => block.type === 'text').map(block => block.text).join('');
+        },
+        async stream({ model, system, messages, maxTokens, onText }) {
+            const stream = anthropic.messages.stream({
+                model,
+                max_tokens: maxTokens,
+                ...(system ? { system } : {}),
+                messages: toAnthropicMessages(messages)
+            });
+            stream.on('text', onText);
+            const response = await stream.finalMessage();
+            return {
+                text: response.content.filter(block => block.type === 'text').map(block => block.text).join(''),
+                stopReason: response.stop_reason === 'max_tokens' ? 'max_tokens' : 'end'
+            };
+        }
+    };
+}
+
+// OpenAI chat completions API, also used for OpenAI-compatible local servers
+function createOpenAIProvider({ apiKey, baseURL, maxTokensParam }) {
+    const openai = new OpenAI({ apiKey, ...(baseURL ? { baseURL } : {}) });
+
+    function toOpenAIMessages(system, messages) {
+        const converted = messages.map(message => ({
+            role: message.role,
+            content: typeof message.content === 'string'
+                ? message.content
+                : message.content.map(part => part.type === 'image'
+                    ? { type: 'image_url', image_url: { url: `data:${part.mediaType};base64,${part.data}` } }
+                    : { type: 'text', text: part.text })
+        }));
+        return system ? [{ role: 'system', content: system }, ...converted] : converted;
+    }
+
+    return {
+        async complete({ model, system, messages, maxTokens }) {
+            const response = await openai.chat.completions.create({
+                model,
+                messages: toOpenAIMessages(system, messages),
+                [maxTokensParam]: maxTokens
+            });
+            return response.choices[0].message.content;
+        },
+        async stream({ model, system, messages, maxTokens, onText }) {
+            const stream = await openai.chat.completions.create({
+                model,
+                messages: toOpenAIMessages(system, messages),
+                [maxTokensParam]: maxTokens,
+                stream: true
+            });
+            let text = '';
+            let finishReason = null;
+            for await (const chunk of stream) {
+                const choice = chunk.choices[0];
+                if (!choice) continue;
+                if (choice.delta?.content) {
+                    text += choice.delta.content;
+                    onText(choice.delta.content);
+                }
+                finishReason = choice.finish_reason || finishReason;
+            }
+            return { text, stopReason: finishReason === 'length' ? 'max_tokens' : 'end' };
+        }
+    };
+}
+
+// Scripted provider for offline tests, answers with queued responses and records every request.
+// A response can also be { text, stopReason } to simulate an answer cut off at the token cap
+function createFakeProvider() {
+    const script = [];
+    const calls = [];
+
+    async function next(request) {
+        calls.push(request);
+        const response = script.length > 0 ? script.shift() : 'fake response';
+        if (response instanceof Error) {
+            throw response;
+        }
+        const result = typeof response === 'function' ? response(request) : response;
+        return typeof result === 'string' ? { text: result, stopReason: 'end' } : result;
+    }
+
+    return {
+        calls,
+        script(...responses) {
+            script.push(...responses);
+        },
+        reset() {
+            script.length = 0;
+            calls.length = 0;
+        },
+        async complete(request) {
+            return (await next(request)).text;
+        },
+        async stream(request) {
+            const result = await next(request);
+            request.onText(result.text);
+            return result;
+        }
+    };
+}
+
+const providers = {};
+
+function getProvider(name) {
+    if (!providers[name]) {
+        switch (name) {
+            case 'anthropic':
+                providers[name] = createAnthropicProvider();
+                break;
+            case 'openai':
+                // o-series models only accept max_completion_tokens
+                providers[name] = createOpenAIProvider({ apiKey: process.env.OPENAI_API_KEY, maxTokensParam: 'max_completion_tokens' });
+                break;
+            case 'local':
+                providers[name] = createOpenAIProvider({
+                    apiKey: process.env.LLM_LOCAL_API_KEY || 'local',
+                    baseURL: process.env.LLM_LOCAL_BASE_URL || 'http://localhost:11434/v1',
+                    maxTokensParam: 'max_tokens'
+                });
+                break;
+            case 'fake':
+                providers[name] = createFakeProvider();
+                break;
+            default:
+                throw new Error(`Unknown LLM provider: ${name}`);
+        }
+    }
+    return providers[name];
+}
+
+// Generate text for a role from a system prompt and a list of { role, content } messages
+async function complete(role, { system = null, messages, maxTokens = 300 }) {
+    const { provider, model } = getRoleConfig(role);
+    return await getProvider(provider).complete({ model, system, messages, maxTokens });
+}
+
+// Like complete, but calls onText with every piece of text as it is generated.
+// Resolves to { text, stopReason } where stopReason is 'max_tokens' if the answer was cut off
+async function stream(role, { system = null, messages, maxTokens = 300, onText }) {
+    const { provider, model } = getRoleConfig(role);
+    return await getProvider(provider).stream({ model, system, messages, maxTokens, onText });
+}
+
+// The scripted fake provider, route roles to it with LLM_<ROLE>=fake:<anything>
+function getFakeLLM() {
+    return getProvider('fake');
+}
+
+module.exports = {
+    complete,
+    stream,
+    getRoleConfig,
+    getFakeLLM
+};
@@ -0,0 +1,167 @@
+const { WebClient } = require('@slack/web-api');
+const { pool } = require('./db');
+const { extractLinks, processLink, processImage, processPDF } = require('./linkProcessor');
+
+// Initialize clients
+const slack = new WebClient(process.env.SLACK_BOT_OAUTH);
+
+function getCanonicalMessageText(message) {
+    let text = message.text || '';
+    if(text.includes("Granola")) {
+        if(message.attachments) {
+            text += `\n ${message.attachments[0].original_url}`;
+        }
+    }
+    return text;
+}
+
+// Describe an image or read a PDF, other file types give null
+async function readFile(file) {
+    if (file.mimetype.startsWith('image/')) {
+        const { content, summary } = await processImage(file.url_private_download);
+        return { type: 'image', text: `Image Description: ${summary}\n\nFull Description: ${content}` };
+    } else if (file.mimetype === 'application/pdf') {
+        const { content, summary } = await processPDF(file.url_private_download);
+        return { type: 'pdf', text: `PDF Summary: ${summary}\n\nFull Content: ${content}` };
+    }
+    return null;
+}
+
+// Turn an image or PDF shared in Slack into a segment, other file types are skipped.
+// Files are read once and cached by ID, every later question or thread reply reuses the text
+async function processFileSegment(file, ts) {
+    const cached = await pool.query('SELECT segment_type, text FROM slack_file_cache WHERE file_id = $1', [file.id]);
+    let read = cached.rows[0] ? { type: cached.rows[0].segment_type, text: cached.rows[0].text } : null;
+    if (!read) {
+        read = await readFile(file);
+        if (!read) {
+            return null;
+        }
+        await pool.query(`
+            INSERT INTO slack_file_cache (file_id, segment_type, text)
+            VALUES ($1, $2, $3)
+            ON CONFLICT (file_id) DO UPDATE SET segment_type = EXCLUDED.segment_type, text = EXCLUDED.text;
+        `, [file.id, read.type, read.text]);
+    }
+    return {
+        type: read.type,
+        text: read.text,
+        ts,
+        file_id: file.id,
+        url: file.permalink
+    };
+}
+
+// Shared function to process message content. Returns a list of segments, one per thread
+// message, file and link, each tagged with its type and the message it came from, or null for
+// messages that are skipped. Slack errors are thrown so the job reading the message is retried
+async function processMessageContent(message, channelId, channelName, channelDescription, channelTopic) {
+    // Skip bot messages
+    if (message.user === process.env.SLACK_BOT_ID) {
+        return null;
+    }
+
+    message.text = getCanonicalMessageText(message);
+
+    const segments = [];
+    // Files and links can appear both in the thread and in the message itself
+    const seenFiles = new Set();
+    const seenLinks = new Set();
+
+    const addFiles = async (files, ts, user) => {
+        for (const file of files || []) {
+            if (seenFiles.has(file.id)) continue;
+            seenFiles.add(file.id);
+            try {
+                const segment = await processFileSegment(file, ts);
+                if (segment) segments.push({ ...segment, user });
+            } catch (error) {
+                console.error(`Error processing file ${file.name}:`, error);
+            }
+        }
+    };
+
+    // Get thread info if it exists
+    if (message.thread_ts) {
+        const threadResponse = await slack.conversations.replies({
+            channel: channelId,
+            ts: message.thread_ts
+        });
+
+        // Process all messages in the thread
+        for (const threadMessage of threadResponse.messages) {
+            // Skip bot messages and deleted thread parents
+            if (threadMessage.user === process.env.SLACK_BOT_ID || threadMessage.subtype === 'tombstone') {
+                continue;
+            }
+
+            segments.push({
+                type: threadMessage.ts === message.thread_ts ? 'message' : 'thread_reply',
+                text: threadMessage.text,
+                ts: threadMessage.ts,
+                user: threadMessage.user
+            });
+
+            // Process any files in the reply
+            await addFiles(threadMessage.files, threadMessage.ts, threadMessage.user);
+
+            // Process any links in the reply
+            for (const link of extractLinks(threadMessage.text)) {
+                if (seenLinks.has(link)) continue;
+                seenLinks.add(link);
+                try {
+                    const { content, summary } = await processLink(link);
+                    segments.push({
+                        type: 'link',
+                        text: `Contents of Link : ${link}\nSummary : ${summary}\nContent : ${content}`,
+                        ts: threadMessage.ts,
+                        user: threadMessage.user,
+                        url: link
+                    });
+                } catch (error) {
+                    if (error.message.includes('Google Drive')) {
+                        // Post a message to the thread requesting permissions
+                        await slack.chat.postMessage({
+                            channel: channelId,
+                            thread_ts: message.thread_ts,
+                            text: "🔒 I don't have access to read this Google Drive file. Please make sure it's shared with `reclaim-ai-bot@reclaim-protocol-c6c62.iam.gserviceaccount.com` with viewer permissions. Once done, please share the link again so that I can learn from it."
+                        });
+                    }
+                    console.error(`Error processing link ${link}:`, error);
+                }
+            }
+        }
+    }
+
+    if (segments.length === 0 && message.subtype !== 'tombstone') {
+        segments.push({ type: 'message', text: message.text, ts: message.ts, user: message.user });
+    }
+
+    // Process any files in the message
+    await addFiles(message.files, message.ts, message.user);
+
+    // Process any links in the message
+    for (const link of extractLinks(message.text)) {
+        if (seenLinks.has(link)) continue;
+        seenLinks.add(link);
+        try {
+            const { content, summary } = await processLink(link);
+            segments.push({
+                type: 'link',
+                text: `Contents of Link : ${link}\nSummary : ${summary}`,
+                ts: message.ts,
+                user: message.user,
+                url: link
+            });
+        } catch (error) {
+            console.error(`Error processing link ${link}:`, error);
+        }
+    }
+    return segments;
+}
+
+module.exports = {
+    getCanonicalMessageText,
+    processFileSegment,
+    processMessageContent
+};
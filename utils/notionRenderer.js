@@ -0,0 +1,234 @@
+// Render Notion pages to Markdown by walking the whole block tree
+
+// Nested blocks deeper than this are dropped, it also stops synced blocks that include each other
+const MAX_DEPTH = 20;
+
+// Find the page ID in any Notion URL shape:
+//   https://www.notion.so/Title-0123456789abcdef0123456789abcdef
+//   https://www.notion.so/workspace/0123456789abcdef0123456789abcdef?v=...
+//   https://www.notion.so/workspace/Database-...?p=0123456789abcdef0123456789abcdef&pm=s
+//   https://team.notion.site/Title-01234567-89ab-cdef-0123-456789abcdef#fedcba...
+// ?p= is a page opened on top of a database and wins over the path, #... is a block on the page
+function extractNotionPageId(url) {
+    const cleaned = url.trim().replace(/^</, '').replace(/>$/, '').split('|')[0];
+    let parsed;
+    try {
+        parsed = new URL(cleaned);
+    } catch (error) {
+        throw new Error(`Not a valid Notion URL: ${url}`);
+    }
+
+    const idPattern = /([0-9a-f]{8}-?[0-9a-f]{4}-?[0-9a-f]{4}-?[0-9a-f]{4}-?[0-9a-f]{12})(?![0-9a-f])/gi;
+    const candidates = [parsed.searchParams.get('p') || '', decodeURIComponent(parsed.pathname)];
+    for (const candidate of candidates) {
+        const matches = candidate.match(idPattern);
+        if (matches) {
+            return formatNotionId(matches[matches.length - 1]);
+        }
+    }
+    throw new Error(`Could not find a Notion page ID in ${url}`);
+}
+
+// Dashed lowercase UUID, the form the API returns
+function formatNotionId(id) {
+    const hex = id.replace(/-/g, '').toLowerCase();
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
+function notionPageUrl(id) {
+    return `https://www.notion.so/${id.replace(/-/g, '')}`;
+}
+
+// Every child of a block, following the pagination cursor
+async function listAllChildren(notion, blockId) {
+    const children = [];
+    let cursor;
+    do {
+        const response = await notion.blocks.children.list({ block_id: blockId, start_cursor: cursor, page_size: 100 });
+        children.push(...response.results);
+        cursor = response.has_more ? response.next_cursor : undefined;
+    } while (cursor);
+    return children;
+}
+
+// Rich text with bold, italic, strikethrough, code and links kept as Markdown
+function richTextToMarkdown(richText = []) {
+    return richText.map(part => {
+        let text = part.plain_text;
+        if (!text.trim()) return text;
+        const { bold, italic, strikethrough, code } = part.annotations || {};
+        if (code) text = `\`${text}\``;
+        if (bold) text = `**${text}**`;
+        if (italic) text = `_${text}_`;
+        if (strikethrough) text = `~~${text}~~`;
+        const href = part.href || part.text?.link?.url;
+        if (href) text = `[${text}](${href})`;
+        return text;
+    }).join('');
+}
+
+function pageTitle(page) {
+    const titleProperty = Object.values(page.properties || {}).find(property => property.type === 'title');
+    return titleProperty ? titleProperty.title.map(text => text.plain_text).join('') || 'Untitled' : 'Untitled';
+}
+
+function indent(text, prefix) {
+    return text.split('\n').map(line => line ? prefix + line : line).join('\n');
+}
+
+function fileBlockUrl(value) {
+    return value.file?.url || value.external?.url || value.url || '';
+}
+
+// Render a Notion page and everything nested in it. Hooks render blocks that need more
+// than the API response, e.g. { image: async (block, page) => text }
+async function renderNotionPage(notion, pageId, hooks = {}) {
+    const page = await notion.pages.retrieve({ page_id: pageId });
+    const title = pageTitle(page);
+    const renderer = createRenderer(notion, page, hooks);
+    const body = await renderer.renderChildren(pageId, 0);
+    return { page, title, markdown: `# ${title}\n\n${body}`.trim() + '\n' };
+}
+
+function createRenderer(notion, page, hooks) {
+    async function renderChildren(blockId, depth) {
+        if (depth > MAX_DEPTH) return '';
+        const blocks = await listAllChildren(notion, blockId);
+        const rendered = [];
+        let listNumber = 0;
+        for (const block of blocks) {
+            listNumber = block.type === 'numbered_list_item' ? listNumber + 1 : 0;
+            const text = await renderBlock(block, depth, listNumber);
+            if (text) rendered.push(text);
+        }
+        return joinBlocks(rendered);
+    }
+
+    // List items sit on consecutive lines, everything else is separated by a blank line
+    function joinBlocks(rendered) {
+        return rendered.reduce((markdown, text, index) => {
+            if (index === 0) return text;
+            const isListItem = /^(\s*)(- |\d+\. )/.test(text);
+            const previousIsListItem = /^(\s*)(- |\d+\. )/.test(rendered[index - 1]);
+            return markdown + (isListItem && previousIsListItem ? '\n' : '\n\n') + text;
+        }, '');
+    }
+
+    async function children(block, depth) {
+        return block.has_children ? await renderChildren(block.id, depth + 1) : '';
+    }
+
+    // A list-like line with its nested blocks indented underneath
+    async function listItem(marker, block, value, depth) {
+        const nested = await children(block, depth);
+        const line = `${marker}${richTextToMarkdown(value.rich_text)}`;
+        return nested ? `${line}\n${indent(nested, '  ')}` : line;
+    }
+
+    async function renderBlock(block, depth, listNumber) {
+        const value = block[block.type] || {};
+        if (hooks[block.type]) {
+            return await hooks[block.type](block, page);
+        }
+
+        switch (block.type) {
+            case 'paragraph': {
+                const nested = await children(block, depth);
+                const text = richTextToMarkdown(value.rich_text);
+                return nested ? `${text}\n\n${indent(nested, '  ')}` : text;
+            }
+            case 'heading_1':
+            case 'heading_2':
+            case 'heading_3': {
+                const level = '#'.repeat(parseInt(block.type.slice(-1), 10) + 1);
+                const heading = `${level} ${richTextToMarkdown(value.rich_text)}`;
+                // Toggleable headings keep their content as children
+                const nested = await children(block, depth);
+                return nested ? `${heading}\n\n${nested}` : heading;
+            }
+            case 'bulleted_list_item':
+                return await listItem('- ', block, value, depth);
+            case 'numbered_list_item':
+                return await listItem(`${listNumber}. `, block, value, depth);
+            case 'to_do':
+                return await listItem(value.checked ? '- [x] ' : '- [ ] ', block, value, depth);
+            case 'toggle':
+                return await listItem('- ', block, value, depth);
+            case 'quote':
+            case 'callout': {
+                const icon = value.icon?.emoji ? `${value.icon.emoji} ` : '';
+                const nested = await children(block, depth);
+                const text = `${icon}${richTextToMarkdown(value.rich_text)}${nested ? `\n\n${nested}` : ''}`;
+                return indent(text, '> ').replace(/^$/gm, '>');
+            }
+            case 'code': {
+                const language = value.language && value.language !== 'plain text' ? value.language : '';
+                const code = value.rich_text.map(text => text.plain_text).join('');
+                const caption = richTextToMarkdown(value.caption);
+                return `\`\`\`${language}\n${code}\n\`\`\`${caption ? `\n${caption}` : ''}`;
+            }
+            case 'equation':
+                return `$$\n${value.expression}\n$$`;
+            case 'divider':
+                return '---';
+            case 'table': {
+                const rows = (await listAllChildren(notion, block.id))
+                    .filter(row => row.type === 'table_row')
+                    .map(row => row.table_row.cells.map(cell => richTextToMarkdown(cell).replace(/\|/g, '\\|').replace(/\n/g, ' ')));
+                if (rows.length === 0) return '';
+                const header = value.has_column_header ? rows.shift() : rows[0].map((cell, index) => `Column ${index + 1}`);
+                return [
+                    `| ${header.join(' | ')} |`,
+                    `| ${header.map(() => '---').join(' | ')} |`,
+                    ...rows.map(cells => `| ${cells.join(' | ')} |`)
+                ].join('\n');
+            }
+            case 'child_page':
+                return `[${value.title || 'Untitled'}](${notionPageUrl(block.id)})`;
+            case 'child_database':
+                return `[Database: ${value.title || 'Untitled'}](${notionPageUrl(block.id)})`;
+            case 'link_to_page': {
+                const id = value.page_id || value.database_id;
+                return id ? `[Linked page](${notionPageUrl(id)})` : '';
+            }
+            case 'synced_block':
+                // Copies of a synced block hold no content, render the original instead
+                return value.synced_from
+                    ? await renderChildren(value.synced_from.block_id, depth + 1)
+                    : await children(block, depth);
+            case 'column_list':
+            case 'column':
+                return await children(block, depth);
+            case 'bookmark':
+            case 'embed':
+            case 'link_preview': {
+                const caption = richTextToMarkdown(value.caption);
+                return `[${caption || value.url}](${value.url})`;
+            }
+            case 'image':
+            case 'video':
+            case 'audio':
+            case 'file':
+            case 'pdf': {
+                const url = fileBlockUrl(value);
+                const caption = richTextToMarkdown(value.caption) || value.name || block.type;
+                return block.type === 'image' ? `![${caption}](${url})` : `[${caption}](${url})`;
+            }
+            case 'table_of_contents':
+            case 'breadcrumb':
+            case 'unsupported':
+            default:
+                return await children(block, depth);
+        }
+    }
+
+    return { renderChildren };
+}
+
+module.exports = {
+    extractNotionPageId,
+    listAllChildren,
+    renderNotionPage,
+    richTextToMarkdown,
+    pageTitle
+};
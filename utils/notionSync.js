@@ -0,0 +1,151 @@
+const { Client } = require('@notionhq/client');
+const { pool, chunkAndStoreDocument, deleteDocumentMessages } = require('./db');
+const { JOB_PRIORITY, registerJobHandler, enqueueJob } = require('./jobQueue');
+const { renderNotionPage, richTextToMarkdown } = require('./notionRenderer');
+
+const notion = new Client({ auth: process.env.NOTION_TOKEN });
+
+const NOTION_SYNC_INTERVAL_MINUTES = parseInt(process.env.NOTION_SYNC_INTERVAL_MINUTES || '60', 10);
+
+// Chunks and synced_documents rows are keyed by notion:<page or database ID>
+function notionSourceId(id) {
+    return `notion:${id}`;
+}
+
+// Queue a sync of the whole workspace, then keep queueing one every NOTION_SYNC_INTERVAL_MINUTES.
+// The dedupe key keeps a slow sync from piling up behind itself
+async function scheduleNotionSync() {
+    if (!process.env.NOTION_TOKEN) {
+        return;
+    }
+    const enqueue = () => enqueueJob('sync_notion', {}, { dedupeKey: 'sync_notion', priority: JOB_PRIORITY.sync })
+        .catch(error => console.error('Error scheduling Notion sync:', error));
+    await enqueue();
+    setInterval(enqueue, NOTION_SYNC_INTERVAL_MINUTES * 60 * 1000).unref();
+}
+
+// last_edited_time is rounded down to the minute, so a page edited again in the minute we synced it
+// keeps the same time. Such a page is synced again until one sync started after that minute was over
+function isEditedSinceSync(lastEditedTime, stored) {
+    if (!stored) return true;
+    const editedAt = new Date(lastEditedTime);
+    return editedAt >= stored.edited_at
+        && (editedAt > stored.edited_at || stored.synced_at < new Date(editedAt.getTime() + 60 * 1000));
+}
+
+// List everything the integration can see and queue the pages edited since they were last synced.
+// Pages that are archived or no longer shared with the integration are removed
+async function syncNotionWorkspace() {
+    const stored = await pool.query(
+        "SELECT source_id, edited_at, synced_at FROM synced_documents WHERE source_type IN ('notion_page', 'notion_database')"
+    );
+    const storedDocuments = new Map(stored.rows.map(row => [row.source_id, row]));
+    const seen = new Set();
+    let queued = 0;
+
+    let cursor;
+    do {
+        const response = await notion.search({ start_cursor: cursor, page_size: 100 });
+        for (const object of response.results) {
+            const sourceId = notionSourceId(object.id);
+            if (object.archived || object.in_trash) {
+                continue;
+            }
+            seen.add(sourceId);
+            if (isEditedSinceSync(object.last_edited_time, storedDocuments.get(sourceId))) {
+                await enqueueJob('sync_notion_page', { id: object.id, object: object.object }, {
+                    dedupeKey: `sync_notion_page:${object.id}`,
+                    priority: JOB_PRIORITY.sync
+                });
+                queued++;
+            }
+        }
+        cursor = response.has_more ? response.next_cursor : undefined;
+    } while (cursor);
+
+    // Search only returns what is still shared and not archived, anything else we stored is gone
+    let removed = 0;
+    for (const sourceId of storedDocuments.keys()) {
+        if (!seen.has(sourceId)) {
+            await removeNotionDocument(sourceId);
+            removed++;
+        }
+    }
+    console.log(`Notion sync queued ${queued} changed pages and removed ${removed} pages`);
+}
+
+async function removeNotionDocument(sourceId) {
+    await deleteDocumentMessages(sourceId);
+    await pool.query('DELETE FROM synced_documents WHERE source_id = $1', [sourceId]);
+}
+
+// Name of the person who last edited a page, the integration needs user information capabilities for this
+async function getEditorName(user) {
+    if (!user) return null;
+    if (user.name) return user.name;
+    try {
+        const result = await notion.users.retrieve({ user_id: user.id });
+        return result.name || null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Databases are indexed by their title, description and properties, their rows are synced as pages
+function renderNotionDatabase(database) {
+    const title = richTextToMarkdown(database.title) || 'Untitled';
+    const description = richTextToMarkdown(database.description);
+    const properties = Object.entries(database.properties || {}).map(([name, property]) => `- ${name} (${property.type})`);
+    return {
+        title,
+        markdown: `# ${title}\n\n${description ? `${description}\n\n` : ''}Database properties:\n${properties.join('\n')}\n`
+    };
+}
+
+// Render a page or database and replace its stored chunks
+async function syncNotionPage({ id, object }) {
+    const sourceId = notionSourceId(id);
+    let page, title, markdown;
+    try {
+        if (object === 'database') {
+            page = await notion.databases.retrieve({ database_id: id });
+            ({ title, markdown } = renderNotionDatabase(page));
+        } else {
+            ({ page, title, markdown } = await renderNotionPage(notion, id));
+        }
+    } catch (error) {
+        if (error.code === 'object_not_found') {
+            await removeNotionDocument(sourceId);
+            return;
+        }
+        throw error;
+    }
+    if (page.archived || page.in_trash) {
+        await removeNotionDocument(sourceId);
+        return;
+    }
+
+    const sourceType = object === 'database' ? 'notion_database' : 'notion_page';
+    await chunkAndStoreDocument({
+        sourceId,
+        sourceType,
+        title,
+        url: page.url,
+        userName: await getEditorName(page.last_edited_by),
+        editedAt: new Date(page.last_edited_time)
+    }, markdown);
+
+    await pool.query(`
+        INSERT INTO synced_documents (source_id, source_type, title, url, edited_at, synced_at)
+        VALUES ($1, $2, $3, $4, $5, NOW())
+        ON CONFLICT (source_id) DO UPDATE
+        SET title = EXCLUDED.title, url = EXCLUDED.url, edited_at = EXCLUDED.edited_at, synced_at = NOW();
+    `, [sourceId, sourceType, title, page.url, page.last_edited_time]);
+}
+
+registerJobHandler('sync_notion', syncNotionWorkspace);
+registerJobHandler('sync_notion_page', syncNotionPage);
+
+module.exports = {
+    scheduleNotionSync
+};
@@ -0,0 +1,37 @@
+const { WebClient } = require('@slack/web-api');
+const { pool } = require('./db');
+
+const slack = new WebClient(process.env.SLACK_BOT_OAUTH);
+
+// Build a link by hand when Slack can't give us one, e.g. for messages in channels we have left
+function buildFallbackPermalink(channelId, messageTs) {
+    return `${process.env.SLACK_BASE_URI}/${channelId}/p${messageTs.replace('.', '')}`;
+}
+
+// Permalink of a Slack message, looked up with chat.getPermalink once and cached
+async function getPermalink(channelId, messageTs) {
+    const cached = await pool.query(
+        'SELECT permalink FROM slack_permalinks WHERE channel_id = $1 AND message_ts = $2',
+        [channelId, messageTs]
+    );
+    if (cached.rows.length > 0) {
+        return cached.rows[0].permalink;
+    }
+
+    try {
+        const result = await slack.chat.getPermalink({ channel: channelId, message_ts: messageTs });
+        await pool.query(`
+            INSERT INTO slack_permalinks (channel_id, message_ts, permalink)
+            VALUES ($1, $2, $3)
+            ON CONFLICT (channel_id, message_ts) DO UPDATE SET permalink = EXCLUDED.permalink;
+        `, [channelId, messageTs, result.permalink]);
+        return result.permalink;
+    } catch (error) {
+        console.error(`Error getting permalink for ${messageTs} in ${channelId}:`, error.data?.error || error.message);
+        return buildFallbackPermalink(channelId, messageTs);
+    }
+}
+
+module.exports = {
+    getPermalink
+};
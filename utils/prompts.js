@@ -0,0 +1,24 @@
+const { aboutReclaimShort } = require('./contextText');
+
+// System prompt for answering a question from retrieved context and summaries of links in
+// the question, the conversation itself is passed as messages
+function buildAnswerPrompt({ context, linkSummaryText = '' }) {
+    return `
+                    You are a helpful assistant that can answer questions about the following context that you may use to answer the question, but also feel free to pull information from other sources including the internet.
+                    
+                    Important: When processing information, pay special attention to the recency of the messages. Information from more recent messages should be given higher priority, and you should explicitly mention if you're using older information that might be outdated.
+                    Every entry in the knowledge base context is numbered. When you use information from an entry, cite it right after the sentence using its number in square brackets, like [1] or [2][3]. Only cite numbers that appear in the context, and do not add a list of sources yourself.
+                    
+                    About the company : 
+                    ${aboutReclaimShort}
+                    
+                    Relevant context from the knowledge base (sorted by recency):
+                    ${context}
+                    
+                    ${linkSummaryText ? `Links in the current message:\n${linkSummaryText}` : ''}
+                `;
+}
+
+module.exports = {
+    buildAnswerPrompt
+};
@@ -0,0 +1,190 @@
+const { WebClient } = require('@slack/web-api');
+const { listChannels, listUserNames } = require('./db');
+
+const slack = new WebClient(process.env.SLACK_BOT_OAUTH);
+
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function startOfDay(date) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+}
+
+// Monday of the week containing date
+function startOfWeek(date) {
+    const day = startOfDay(date);
+    return new Date(day.getTime() - ((day.getDay() + 6) % 7) * DAY_MS);
+}
+
+function startOfQuarter(date) {
+    return new Date(date.getFullYear(), Math.floor(date.getMonth() / 3) * 3, 1);
+}
+
+// A month mentioned without a year is the most recent one that has started
+function resolveMonth(monthIndex, year, now) {
+    if (year) return parseInt(year, 10);
+    return monthIndex > now.getMonth() ? now.getFullYear() - 1 : now.getFullYear();
+}
+
+// Time expressions and the range they cover, the first one found in a question wins
+const DATE_PATTERNS = [
+    { regex: /\btoday\b/i, range: (match, now) => [startOfDay(now), now] },
+    { regex: /\byesterday\b/i, range: (match, now) => [new Date(startOfDay(now).getTime() - DAY_MS), startOfDay(now)] },
+    {
+        regex: /\b(?:in the )?(?:last|past) (\d+) (day|week|month|year)s?\b/i,
+        range: (match, now) => {
+            const count = parseInt(match[1], 10);
+            const start = new Date(now);
+            switch (match[2].toLowerCase()) {
+                case 'day': start.setDate(start.getDate() - count); break;
+                case 'week': start.setDate(start.getDate() - count * 7); break;
+                case 'month': start.setMonth(start.getMonth() - count); break;
+                case 'year': start.setFullYear(start.getFullYear() - count); break;
+            }
+            return [start, now];
+        }
+    },
+    {
+        regex: /\b(this|last|past|previous) (week|month|quarter|year)\b/i,
+        range: (match, now) => {
+            const current = match[1].toLowerCase() === 'this';
+            switch (match[2].toLowerCase()) {
+                case 'week': {
+                    const start = startOfWeek(now);
+                    return current ? [start, now] : [new Date(start.getTime() - 7 * DAY_MS), start];
+                }
+                case 'month': {
+                    const start = new Date(now.getFullYear(), now.getMonth(), 1);
+                    return current ? [start, now] : [new Date(now.getFullYear(), now.getMonth() - 1, 1), start];
+                }
+                case 'quarter': {
+                    const start = startOfQuarter(now);
+                    return current ? [start, now] : [new Date(start.getFullYear(), start.getMonth() - 3, 1), start];
+                }
+                case 'year': {
+                    // "past year" means the last twelve months, "last year" the calendar year before this one
+                    if (match[1].toLowerCase() === 'past') {
+                        return [new Date(now.getFullYear() - 1, now.getMonth(), now.getDate()), now];
+                    }
+                    const start = new Date(now.getFullYear(), 0, 1);
+                    return current ? [start, now] : [new Date(now.getFullYear() - 1, 0, 1), start];
+                }
+            }
+        }
+    },
+    {
+        regex: new RegExp(`\\bsince (${MONTHS.join('|')})(?: ((?:19|20)\\d{2}))?\\b`, 'i'),
+        range: (match, now) => {
+            const month = MONTHS.indexOf(match[1].toLowerCase());
+            return [new Date(resolveMonth(month, match[2], now), month, 1), now];
+        }
+    },
+    {
+        regex: new RegExp(`\\b(?:in|during) (${MONTHS.join('|')})(?: ((?:19|20)\\d{2}))?\\b`, 'i'),
+        range: (match, now) => {
+            const month = MONTHS.indexOf(match[1].toLowerCase());
+            const year = resolveMonth(month, match[2], now);
+            return [new Date(year, month, 1), new Date(year, month + 1, 1)];
+        }
+    },
+    // Only numbers that look like a year, so "in 5000 rows" is not taken for one
+    { regex: /\bsince ((?:19|20)\d{2})\b/, range: (match, now) => [new Date(parseInt(match[1], 10), 0, 1), now] },
+    {
+        regex: /\b(?:in|during) ((?:19|20)\d{2})\b/,
+        range: (match) => [new Date(parseInt(match[1], 10), 0, 1), new Date(parseInt(match[1], 10) + 1, 0, 1)]
+    }
+];
+
+// Find a time range in the text, returns the matched phrase and the range or null
+function parseDateRange(text, now = new Date()) {
+    for (const { regex, range } of DATE_PATTERNS) {
+        const match = text.match(regex);
+        if (match) {
+            const [minDate, maxDate] = range(match, now);
+            return { phrase: match[0], minDate, maxDate };
+        }
+    }
+    return null;
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Resolve <#C…> mentions, falling back to #channel-name for channels we know the name of
+async function parseChannel(text) {
+    const mention = text.match(/<#(C[A-Z0-9]+)(?:\|[^>]*)?>/);
+    if (mention) {
+        return { phrase: mention[0], channel: mention[1] };
+    }
+    const named = text.match(/(?:^|\s)#([a-z0-9_-]+)/i);
+    if (named) {
+        const channels = await listChannels();
+        const known = channels.find(channel => channel.channel_name && channel.channel_name.toLowerCase() === named[1].toLowerCase());
+        if (known) {
+            return { phrase: named[0].trim(), channel: known.channel_id };
+        }
+    }
+    return null;
+}
+
+// Resolve <@U…> mentions, other than the bot's own, or a name of someone in the knowledge base.
+// Names are matched case-sensitively so words like "will" or "mark" are not taken for people,
+// and only a name that points at exactly one person is used
+async function parseUser(text) {
+    const mentions = [...text.matchAll(/<@(U[A-Z0-9]+)(?:\|[^>]*)?>/g)]
+        .filter(mention => mention[1] !== process.env.SLACK_BOT_ID);
+    if (mentions.length > 0) {
+        try {
+            const userInfo = await slack.users.info({ user: mentions[0][1] });
+            if (userInfo.user) {
+                return { phrase: mentions[0][0], user: userInfo.user.real_name || userInfo.user.name };
+            }
+        } catch (error) {
+            console.error('Error resolving mentioned user:', error.data?.error || error.message);
+        }
+        return null;
+    }
+
+    // Messages from people we could not look up are stored as "Team Member"
+    const userNames = (await listUserNames()).filter(userName => userName !== 'Team Member');
+    const matches = userNames.filter(userName => {
+        const names = [userName, userName.split(' ')[0]].filter(name => name.length > 2);
+        return names.some(name => new RegExp(`\\b${escapeRegExp(name)}\\b`).test(text));
+    });
+    return matches.length === 1 ? { user: matches[0] } : null;
+}
+
+// Split a question into search text and channel, person and date filters.
+// Mentions and time phrases are removed from the search text, names are kept
+async function parseQuery(text, now = new Date()) {
+    const filters = {};
+    let query = text;
+
+    const channel = await parseChannel(text);
+    if (channel) {
+        filters.channel = channel.channel;
+        query = query.replace(channel.phrase, ' ');
+    }
+
+    const user = await parseUser(text);
+    if (user) {
+        filters.user = user.user;
+        if (user.phrase) query = query.replace(user.phrase, user.user);
+    }
+
+    const dateRange = parseDateRange(text, now);
+    if (dateRange) {
+        filters.minDate = dateRange.minDate;
+        filters.maxDate = dateRange.maxDate;
+        query = query.replace(dateRange.phrase, ' ');
+    }
+
+    query = query.replace(/\s+/g, ' ').trim();
+    return { query: query || text, filters };
+}
+
+module.exports = {
+    parseDateRange,
+    parseQuery
+};
@@ -0,0 +1,113 @@
+const { hybridSearchMessages } = require('./db');
+const { processLink } = require('./linkProcessor');
+const { getPermalink } = require('./permalinks');
+const { getAllowedChannelIds, canReadSyncedDocuments } = require('./channelAccess');
+const { parseQuery } = require('./queryParser');
+const { countTokens } = require('./chunker');
+
+// Channels and synced documents that the asker, and everyone reading the answer in channelId, may see
+async function getAccessScope(userId, channelId) {
+    const channelIds = await getAllowedChannelIds(userId, channelId);
+    const includeDocuments = await canReadSyncedDocuments(userId, channelId);
+    return { channelIds, includeDocuments };
+}
+
+// Search with the channel, person and date filters found in the query, or without
+// them when nothing matches. Filters never widen what the user may see
+async function searchWithFilters(text, scope, limit) {
+    const { query, filters } = await parseQuery(text);
+    if (Object.keys(filters).length > 0) {
+        const results = await hybridSearchMessages(query, limit, { ...filters, ...scope });
+        if (results.length > 0) {
+            return results;
+        }
+        console.log('No results with filters', filters, 'searching without them');
+    }
+    return await hybridSearchMessages(text, limit, scope);
+}
+
+// Build the context block for a question from the most relevant stored chunks
+// that the asker, and everyone reading the answer in channelId, can see.
+// Returns the prompt text and the numbered chunks it was built from
+async function getRelevantContext(query, { userId, channelId }, maxTokens = 4000) {
+    const scope = await getAccessScope(userId, channelId);
+    const similarMessages = await searchWithFilters(query, scope, 10);
+    let context = '';
+    const sources = [];
+    let currentTokens = 0;
+    
+    // Sort messages by recency
+    similarMessages.sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+    
+    for (const message of similarMessages) {
+        let messageContent = message.content;
+        
+        // Calculate days since the message was created
+        const messageDate = new Date(message.created_at);
+        const now = new Date();
+        const daysSince = Math.floor((now - messageDate) / (1000 * 60 * 60 * 24));
+        
+        // Link to the exact message the chunk came from, synced documents link to themselves
+        const messageLink = message.channel_id
+            ? await getPermalink(message.channel_id, message.message_ts || message.thread_ts)
+            : message.source_url;
+        
+        // Check for Notion links in the content
+        const notionLinks = messageContent.match(/https:\/\/[^/\s]+\.notion\.so\/[^\s]+/g) || [];
+        for (const link of notionLinks) {
+            try {
+                const { content, summary } = await processLink(link);
+                // Replace the link with its summary
+                messageContent = messageContent.replace(link, `[${link}]\nSummary: ${summary}`);
+            } catch (error) {
+                console.error('Error processing Notion link in context:', error);
+            }
+        }
+        
+        const messageTokens = countTokens(messageContent);
+        if (currentTokens + messageTokens > maxTokens) break;
+        
+        // Numbered so the answer can cite it as [n]
+        if (message.channel_id) {
+            const source = message.source_url ? `\nSource: ${message.source_url}` : '';
+            context += `[${sources.length + 1}] Message from ${message.user_name} (${message.user_title}) ${daysSince} days ago: ${messageContent}\nLink: ${messageLink}${source}\n\n`;
+        } else {
+            const editor = message.user_name ? ` by ${message.user_name}` : '';
+            context += `[${sources.length + 1}] Document "${message.metadata?.title || 'Untitled'}" last edited${editor} ${daysSince} days ago: ${messageContent}\nLink: ${messageLink}\n\n`;
+        }
+        currentTokens += messageTokens;
+        sources.push({
+            index: sources.length + 1,
+            chunkId: message.id,
+            channelId: message.channel_id,
+            channelName: message.channel_name,
+            threadTs: message.thread_ts,
+            messageTs: message.message_ts || message.thread_ts,
+            permalink: messageLink,
+            title: message.metadata?.title || null,
+            userName: message.user_name,
+            sourceType: message.source_type,
+            sourceUrl: message.source_url,
+            createdAt: message.created_at
+        });
+    }
+    
+    return { context, sources };
+}
+
+// Search results the user may see, with a permalink to the message each one came from
+async function searchKnowledgeBase(query, { userId, channelId = null }, limit = 10) {
+    const scope = await getAccessScope(userId, channelId);
+    const results = await searchWithFilters(query, scope, limit);
+    for (const result of results) {
+        result.permalink = result.channel_id
+            ? await getPermalink(result.channel_id, result.message_ts || result.thread_ts)
+            : result.source_url;
+    }
+    return results;
+}
+
+module.exports = {
+    getRelevantContext,
+    searchKnowledgeBase
+};
@@ -0,0 +1,83 @@
+// Function to format message with blocks
+function formatMessageWithBlocks(text) {
+    const MAX_BLOCK_TEXT_LENGTH = 3000;
+    const blocks = [];
+    
+    // Split text into sections based on markdown headers
+    const sections = text.split(/(?=^|\n)(#{1,6}\s.*$)/m);
+    
+    for (const section of sections) {
+        if (!section.trim()) continue;
+        
+        // Check if this is a header
+        const headerMatch = section.match(/^(#{1,6})\s(.*)$/m);
+        if (headerMatch) {
+            const level = headerMatch[1].length;
+            const content = headerMatch[2].trim();
+            blocks.push({
+                type: "header",
+                text: {
+                    type: "plain_text",
+                    text: content,
+                    emoji: true
+                }
+            });
+            continue;
+        }
+        
+        // Process regular text with markdown
+        let processedText = section.trim();
+        
+        // Convert markdown bold to Slack bold
+        processedText = processedText.replace(/\*\*(.*?)\*\*/g, '*$1*');
+        
+        // Convert markdown italic to Slack italic
+        processedText = processedText.replace(/\*(.*?)\*/g, '_$1_');
+        
+        // Convert markdown code blocks
+        processedText = processedText.replace(/```([\s\S]*?)```/g, '```$1```');
+        
+        // Convert markdown inline code
+        processedText = processedText.replace(/`([^`]+)`/g, '`$1`');
+        
+        // Convert markdown lists
+        processedText = processedText.replace(/^\s*[-*+]\s+(.*)$/gm, '• $1');
+        
+        // Convert markdown links
+        processedText = processedText.replace(/\[([^\]]+)\]\(([^)]+)\)/g, '<$2|$1>');
+        
+        // Split long text into chunks that fit within Slack's block text limit
+        while (processedText.length > 0) {
+            let chunk = processedText;
+            if (chunk.length > MAX_BLOCK_TEXT_LENGTH) {
+                // Find the last space before the limit
+                const lastSpace = chunk.lastIndexOf(' ', MAX_BLOCK_TEXT_LENGTH);
+                if (lastSpace === -1) {
+                    // If no space found, force split at the limit
+                    chunk = chunk.substring(0, MAX_BLOCK_TEXT_LENGTH);
+                    processedText = processedText.substring(MAX_BLOCK_TEXT_LENGTH);
+                } else {
+                    // Split at the last space
+                    chunk = chunk.substring(0, lastSpace);
+                    processedText = processedText.substring(lastSpace + 1);
+                }
+            } else {
+                processedText = '';
+            }
+            
+            blocks.push({
+                type: "section",
+                text: {
+                    type: "mrkdwn",
+                    text: chunk
+                }
+            });
+        }
+    }
+    
+    return blocks;
+}
+
+module.exports = {
+    formatMessageWithBlocks
+};
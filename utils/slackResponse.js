@@ -0,0 +1,15 @@
+// Post a message to a Slack response_url, which accepts replies for up to 30 minutes
+async function respond(responseUrl, message) {
+    const response = await fetch(responseUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(message)
+    });
+    if (!response.ok) {
+        throw new Error(`Slack response_url returned ${response.status}: ${await response.text()}`);
+    }
+}
+
+module.exports = {
+    respond
+};
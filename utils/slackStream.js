@@ -0,0 +1,100 @@
+const { formatMessageWithBlocks } = require('./slackFormatting');
+
+// chat.update is rate limited to roughly one call per second per channel
+const STREAM_UPDATE_INTERVAL_MS = parseInt(process.env.STREAM_UPDATE_INTERVAL_MS || '1500', 10);
+// Text per Slack message, longer answers continue in follow-up messages in the thread.
+// Kept well below the 50 block limit formatMessageWithBlocks could otherwise reach
+const SLACK_MESSAGE_CHAR_LIMIT = parseInt(process.env.SLACK_MESSAGE_CHAR_LIMIT || '3500', 10);
+
+// Split text into message sized parts, preferring paragraph, then line, then word boundaries
+function splitForSlack(text, limit = SLACK_MESSAGE_CHAR_LIMIT) {
+    const parts = [];
+    let rest = text.trim();
+    while (rest.length > limit) {
+        let cut = rest.lastIndexOf('\n\n', limit);
+        if (cut < limit / 2) cut = rest.lastIndexOf('\n', limit);
+        if (cut < limit / 2) cut = rest.lastIndexOf(' ', limit);
+        if (cut <= 0) cut = limit;
+        parts.push(rest.slice(0, cut).trimEnd());
+        rest = rest.slice(cut).trimStart();
+    }
+    if (rest) parts.push(rest);
+    return parts;
+}
+
+// Post a placeholder in a thread and keep it updated with the answer as it streams in.
+// Updates are throttled and run one at a time, overflow goes to threaded follow-ups.
+// An empty final answer replaces the placeholder with emptyText
+function createAnswerStream({
+    slack,
+    channel,
+    threadTs,
+    placeholder = ':hourglass_flowing_sand: Thinking...',
+    emptyText = "Sorry, I couldn't come up with an answer to that."
+}) {
+    const messages = [];
+    let latestText = '';
+    let timer = null;
+    let lastRender = 0;
+    let finished = false;
+    let queue = Promise.resolve();
+
+    function enqueue(task) {
+        queue = queue.then(task).catch(error => {
+            console.error('Error updating streamed answer:', error.data?.error || error.message);
+        });
+        return queue;
+    }
+
+    async function render(text, extraBlocks = [], final = false) {
+        lastRender = Date.now();
+        const parts = splitForSlack(text);
+        for (let index = 0; index < parts.length; index++) {
+            const isLast = index === parts.length - 1;
+            const blocks = [...formatMessageWithBlocks(parts[index]), ...(final && isLast ? extraBlocks : [])];
+            const message = messages[index];
+            if (!message) {
+                const result = await slack.chat.postMessage({ channel, thread_ts: threadTs, text: parts[index], blocks });
+                messages.push({ ts: result.ts, text: parts[index] });
+            } else if (message.text !== parts[index] || (final && isLast)) {
+                await slack.chat.update({ channel, ts: message.ts, text: parts[index], blocks });
+                message.text = parts[index];
+            }
+        }
+        // The final text can be shorter than what was streamed, e.g. after dropping bad citations
+        if (final) {
+            for (const message of messages.splice(Math.max(parts.length, 1))) {
+                await slack.chat.delete({ channel, ts: message.ts });
+            }
+        }
+    }
+
+    return {
+        async start() {
+            const result = await slack.chat.postMessage({ channel, thread_ts: threadTs, text: placeholder });
+            messages.push({ ts: result.ts, text: placeholder });
+        },
+        // Show the answer so far, at most once per STREAM_UPDATE_INTERVAL_MS
+        update(text) {
+            latestText = text;
+            if (timer || finished) return;
+            const delay = Math.max(0, lastRender + STREAM_UPDATE_INTERVAL_MS - Date.now());
+            timer = setTimeout(() => {
+                timer = null;
+                if (!finished) enqueue(() => render(latestText));
+            }, delay);
+        },
+        // Show the final answer with extra blocks such as sources under its last part
+        async finish(text, extraBlocks = []) {
+            finished = true;
+            clearTimeout(timer);
+            timer = null;
+            await enqueue(() => render(text && text.trim() ? text : emptyText, extraBlocks, true));
+        }
+    };
+}
+
+module.exports = {
+    splitForSlack,
+    createAnswerStream
+};
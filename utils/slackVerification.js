@@ -0,0 +1,76 @@
+const crypto = require('crypto');
+
+// Slack recommends rejecting requests older than five minutes to prevent replays
+const MAX_REQUEST_AGE_SECONDS = 60 * 5;
+
+// Keep the raw request body around, the signature is computed over the exact bytes Slack sent
+function captureRawBody(req, res, buf) {
+    req.rawBody = buf;
+}
+
+// Signing secrets to accept, SLACK_SIGNING_SECRET_PREVIOUS keeps the old secret valid while rotating
+function getSigningSecrets() {
+    return [process.env.SLACK_SIGNING_SECRET, process.env.SLACK_SIGNING_SECRET_PREVIOUS].filter(Boolean);
+}
+
+// Compute the v0 signature Slack sends in X-Slack-Signature
+function computeSlackSignature(secret, timestamp, rawBody) {
+    const baseString = `v0:${timestamp}:${rawBody}`;
+    return 'v0=' + crypto.createHmac('sha256', secret).update(baseString).digest('hex');
+}
+
+// Compare signatures in constant time
+function signaturesMatch(expected, received) {
+    const expectedBuffer = Buffer.from(expected);
+    const receivedBuffer = Buffer.from(received);
+    if (expectedBuffer.length !== receivedBuffer.length) {
+        return false;
+    }
+    return crypto.timingSafeEqual(expectedBuffer, receivedBuffer);
+}
+
+// Middleware rejecting requests that were not signed by Slack
+function verifySlackRequest(req, res, next) {
+    const secrets = getSigningSecrets();
+    if (secrets.length === 0) {
+        console.error('SLACK_SIGNING_SECRET is not configured, rejecting Slack request');
+        return res.status(500).send('Slack signing secret is not configured');
+    }
+
+    const timestamp = req.get('X-Slack-Request-Timestamp');
+    const signature = req.get('X-Slack-Signature');
+    if (!timestamp || !signature || !req.rawBody) {
+        return res.status(401).send('Missing Slack signature');
+    }
+
+    const requestTime = parseInt(timestamp, 10);
+    const now = Math.floor(Date.now() / 1000);
+    if (isNaN(requestTime) || Math.abs(now - requestTime) > MAX_REQUEST_AGE_SECONDS) {
+        console.warn('Rejected Slack request with stale timestamp:', timestamp);
+        return res.status(401).send('Stale Slack request');
+    }
+
+    const rawBody = req.rawBody.toString('utf8');
+    const valid = secrets.some(secret => signaturesMatch(computeSlackSignature(secret, timestamp, rawBody), signature));
+    if (!valid) {
+        console.warn('Rejected Slack request with invalid signature');
+        return res.status(401).send('Invalid Slack signature');
+    }
+
+    next();
+}
+
+// Answer the url_verification handshake Slack sends when the events URL is configured
+function handleUrlVerification(req, res, next) {
+    if (req.body && req.body.type === 'url_verification') {
+        return res.status(200).json({ challenge: req.body.challenge });
+    }
+    next();
+}
+
+module.exports = {
+    captureRawBody,
+    computeSlackSignature,
+    verifySlackRequest,
+    handleUrlVerification
+};